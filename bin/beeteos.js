@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+import { main } from '../src/cli/index.js';
+
+main(process.argv.slice(2)).then((status) => process.exit(status));
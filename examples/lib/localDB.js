@@ -1,33 +1,28 @@
 import { join, dirname } from 'path'
-import { Low, JSONFile } from 'lowdb'
 import { fileURLToPath } from 'url'
 import prompts from 'prompts';
+import { FileIdentityStore } from '../../src/index.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const file = join(__dirname, 'db.json')
-const adapter = new JSONFile(file)
-const db = new Low(adapter)
+const store = new FileIdentityStore({
+    path: join(__dirname, 'db.json'),
+    passphrase: process.env.BEET_STORE_PASSPHRASE // Optional, encrypts the stored identities
+});
 
 /**
- * Retrieve a stored identity from the local JSON db
+ * Retrieve a stored identity from the local identity store
  * @param {String} appName
  * @returns {Object} identity
  */
 async function readData(appName) {
     return new Promise(async (resolve, reject) => {
-        await db.read();
+        let storedIdentities = (await store.list()).filter(x => x.appName === appName);
 
-        if (
-            !db.data ||
-            !db.data.identities ||
-            !db.data.identities.filter(x => x.appName === appName).length
-        ) {
+        if (!storedIdentities.length) {
             // No stored identities for this app; proceed to link.
             return resolve();
         }
     
-        let storedIdentities = db.data.identities.filter(x => x.appName === appName);
-    
         const onCancel = prompt => {
             return reject();
         }
@@ -72,21 +67,11 @@ async function readData(appName) {
 }
 
 async function storeData(data) {
-    return new Promise(async (resolve, reject) => {
-        await db.read()
-        db.data ||= { identities: [] }
-        let tempIDs = db.data.identities;
-        
-        let filteredIDs = tempIDs.filter(x => x.identityhash !== data.identityhash);
-        filteredIDs.push(data);
-        db.data.identities = filteredIDs;
-
-        await db.write()
-        return resolve();
-    });
+    return store.set(data);
 }
 
 export {
+    store,
     readData,
     storeData
 }
\ No newline at end of file
@@ -0,0 +1,9 @@
+import { binanceChains, isBinanceClient, injectBinanceLib } from "./lib/binance.js";
+
+// Entry point for injecting into a Binance chain client, also available as BeetConnection.inject()
+
+export {
+  binanceChains,
+  isBinanceClient,
+  injectBinanceLib
+};
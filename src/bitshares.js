@@ -0,0 +1,10 @@
+import { bitsharesChains, isTransactionBuilder, injectTransactionBuilder, broadcastTransaction } from "./lib/bitshares.js";
+
+// Entry point for injecting into a bitsharesjs TransactionBuilder, also available as BeetConnection.inject()
+
+export {
+  bitsharesChains,
+  isTransactionBuilder,
+  injectTransactionBuilder,
+  broadcastTransaction
+};
@@ -0,0 +1,48 @@
+import { defaultEndpointOptions, resolveEndpoint, resolveEndpoints } from "./lib/endpoints.js";
+import { probeEndpoint, discoverBeet } from "./lib/discovery.js";
+import { createLogger } from "./lib/logger.js";
+import { API_VERSION, supportedApiVersions } from "./lib/protocol.js";
+import { BeetError, ProtocolMismatchError, RequestTimeoutError } from "./lib/errors.js";
+
+// Entry point for apps which only detect Beet, it leaves out the key exchange and encryption code
+
+/**
+ * Checks for a beeteos web socket response, giving up after options.discoveryTimeout (3s by default)
+ * @param {boolean|Object} enableSSL (Or endpoint options, see connect(), the first configured endpoint is checked)
+ * @param {Number} port (Defaults to the configured port)
+ * @param {Object} options (Endpoint options, logger and logLevel, see connect())
+ * @returns {Object|boolean} Resolves to Beet's capabilities {apiversion, version, chains, methods, legacy} (if installed) and false (not installed), rejects with ProtocolMismatchError
+*/
+const checkBeet = async function (enableSSL = true, port = null, options = {}) {
+  if (typeof enableSSL === 'object') {
+    options = enableSSL;
+  }
+
+  let endpoint;
+  try {
+    endpoint = typeof enableSSL === 'object'
+                ? resolveEndpoints(options)[0]
+                : resolveEndpoint(enableSSL, port, options);
+  } catch (error) {
+    createLogger(options.logger, options.logLevel).error('unable to resolve the endpoint', { error });
+    return false;
+  }
+
+  const result = await probeEndpoint(endpoint, options.discoveryTimeout);
+  if (result.reachable && !result.compatible) {
+    throw result.error;
+  }
+
+  return result.reachable ? result.capabilities : false;
+}
+
+export {
+  checkBeet,
+  discoverBeet,
+  defaultEndpointOptions,
+  API_VERSION,
+  supportedApiVersions,
+  BeetError,
+  ProtocolMismatchError,
+  RequestTimeoutError
+};
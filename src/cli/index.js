@@ -0,0 +1,333 @@
+import { parseArgs } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+import { connect, link, discoverBeet, FileIdentityStore, NotLinkedError, BeetError } from '../index.js';
+
+/**
+ * Websocket api nodes used by `inject` when --node is not given
+ */
+const defaultNodes = {
+  BTS: 'wss://eu.nodes.bitshares.ws',
+  BTS_TEST: 'wss://testnet.xbts.io/ws'
+};
+
+const usage = `Usage: beeteos <command> [options]
+
+Commands:
+  status                       Report whether Beet is running and which identity is stored
+  link                         Link (or relink) an account of --chain and store the identity
+  account                      Print the linked account
+  sign-message <text|->        Sign a message, - reads it from stdin
+  verify-message <json|->      Verify a signed message, given as JSON
+  sign-nft --json <file>       Sign an NFT object
+  inject <operation> --json <file>
+                               Sign and broadcast a BitShares operation (needs bitsharesjs and bitsharesjs-ws)
+
+Options:
+  --chain <chain>              Chain to link, defaults to BTS
+  --app <name>                 App name presented to Beet, defaults to beeteos-cli
+  --origin <origin>            Origin presented to Beet, defaults to localhost
+  --store <path>               Identity file, defaults to $BEETEOS_STORE or ~/.beeteos/identities.json
+                               Set BEETEOS_PASSPHRASE to encrypt it
+  --url <url>                  Beet endpoint, e.g. ws://localhost:60555, defaults to the standard endpoints
+  --timeout <ms>               Milliseconds to wait for Beet's answer, defaults to 120000 (0 waits forever)
+  --json <file>                JSON input of sign-nft and inject, - reads stdin
+  --node <url>                 Api node used by inject to build the transaction
+  --pretty                     Indent the JSON output
+  --verbose                    Log to stderr
+  -h, --help                   Show this help
+
+Results are printed to stdout as JSON. Errors are printed to stderr as {"error": {name, code, message}}
+and exit with status 1, usage errors with status 2.`;
+
+const optionSpec = {
+  chain: { type: 'string', default: 'BTS' },
+  app: { type: 'string', default: 'beeteos-cli' },
+  origin: { type: 'string', default: 'localhost' },
+  store: { type: 'string' },
+  url: { type: 'string' },
+  timeout: { type: 'string', default: '120000' },
+  json: { type: 'string' },
+  node: { type: 'string' },
+  pretty: { type: 'boolean', default: false },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Thrown for invalid command lines, reported with exit status 2
+ */
+class UsageError extends Error {}
+
+/**
+ * @param {String} source A file path or - for stdin
+ * @returns {Promise} Resolves to the content
+ */
+async function readInput(source) {
+  if (source !== '-') {
+    return readFile(source, 'utf8');
+  }
+  let input = '';
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input;
+}
+
+/**
+ * @param {String} text
+ * @param {String} what Name of the input for the error message
+ * @returns {*}
+ */
+function parseJSON(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`${what} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Connection and identity settings shared by every command
+ *
+ * @param {Object} values Parsed options
+ * @param {Object} io {stderr}
+ * @returns {Object}
+ */
+function settings(values, io) {
+  const timeout = Number(values.timeout);
+  if (!Number.isFinite(timeout) || timeout < 0) {
+    throw new UsageError(`--timeout must be a number of milliseconds, got ${values.timeout}`);
+  }
+
+  const path = values.store || process.env.BEETEOS_STORE || join(homedir(), '.beeteos', 'identities.json');
+  return {
+    appName: values.app,
+    browser: 'cli',
+    origin: values.origin,
+    chain: values.chain,
+    timeout: timeout,
+    store: new FileIdentityStore({ path, passphrase: process.env.BEETEOS_PASSPHRASE }),
+    connectOptions: Object.assign(
+      values.url ? { url: values.url } : {},
+      values.verbose ? { logger: (record) => io.stderr.write(JSON.stringify(record) + '\n'), logLevel: 'debug' } : {}
+    )
+  };
+}
+
+/**
+ * Connects to Beet with the stored identity of the chain, relinking it when required
+ *
+ * @param {Object} config See settings()
+ * @param {Boolean} requireIdentity Fail when no identity is stored instead of linking a new one
+ * @returns {Promise} Resolves to the linked BeetConnection
+ */
+async function linkedConnection(config, requireIdentity = true) {
+  const connection = await connect(
+    config.appName,
+    config.browser,
+    config.origin,
+    null,
+    null,
+    Object.assign({ store: config.store, chain: config.chain }, config.connectOptions)
+  );
+  connection.requestTimeout = config.timeout;
+
+  if (!connection.identity && requireIdentity) {
+    connection.disconnect();
+    throw new NotLinkedError(`No ${config.chain} identity is stored, run beeteos link --chain ${config.chain} first`);
+  }
+
+  try {
+    await link(config.chain, connection, { timeout: config.timeout });
+  } catch (error) {
+    connection.disconnect();
+    throw error;
+  }
+  if (!connection.linked) {
+    connection.disconnect();
+    throw new NotLinkedError(`Beet did not link the ${config.chain} identity`);
+  }
+  await connection.persisting;
+  return connection;
+}
+
+/**
+ * Runs a command on a linked connection, closing it afterwards
+ *
+ * @param {Object} config
+ * @param {Function} action (connection) => result
+ * @returns {Promise} Resolves to the result
+ */
+async function withConnection(config, action) {
+  const connection = await linkedConnection(config);
+  try {
+    return await action(connection);
+  } finally {
+    await connection.persisting; // next_id rotated by the request
+    connection.disconnect();
+  }
+}
+
+const commands = {
+  async status(config) {
+    const discovery = await discoverBeet(config.connectOptions);
+    const identities = (await config.store.list()).filter((identity) => identity.appName === config.appName);
+    return {
+      online: !!discovery.best,
+      url: discovery.best ? discovery.best.url : null,
+      version: discovery.best ? discovery.best.version : null,
+      capabilities: discovery.best ? discovery.best.capabilities : null,
+      endpoints: discovery.results.map((result) => ({
+        url: result.url,
+        reachable: result.reachable,
+        compatible: result.compatible,
+        latency: result.latency,
+        error: result.error ? result.error.message : null
+      })),
+      identities: identities.map((identity) => ({
+        chain: identity.chain,
+        identityhash: identity.identityhash,
+        account: identity.requested ? identity.requested.account : null
+      }))
+    };
+  },
+
+  async link(config) {
+    const connection = await linkedConnection(config, false);
+    connection.disconnect();
+    return {
+      linked: connection.linked,
+      chain: connection.identity.chain,
+      identityhash: connection.identity.identityhash,
+      account: connection.identity.requested ? connection.identity.requested.account : null
+    };
+  },
+
+  async account(config) {
+    return withConnection(config, (connection) => connection.chain().requestAccount());
+  },
+
+  async 'sign-message'(config, [text]) {
+    if (text === undefined) {
+      throw new UsageError('sign-message needs the text to sign');
+    }
+    const message = text === '-' ? await readInput('-') : text;
+    return withConnection(config, (connection) => connection.chain().signMessage(message));
+  },
+
+  async 'verify-message'(config, [signed]) {
+    if (signed === undefined) {
+      throw new UsageError('verify-message needs the signed message as JSON');
+    }
+    const signedMessage = parseJSON(signed === '-' ? await readInput('-') : signed, 'The signed message');
+    return withConnection(config, async (connection) => {
+      const result = await connection.chain().verifyMessage(signedMessage);
+      return typeof result === 'string' ? parseJSON(result, "Beet's response") : result;
+    });
+  },
+
+  async 'sign-nft'(config, args, values) {
+    if (!values.json) {
+      throw new UsageError('sign-nft needs --json <file> with the NFT object');
+    }
+    const nft = parseJSON(await readInput(values.json), values.json);
+    return withConnection(config, (connection) => connection.chain('BTS').signNFT(nft));
+  },
+
+  async inject(config, [operation], values) {
+    if (!operation || !values.json) {
+      throw new UsageError('inject needs an operation name and --json <file> with its contents');
+    }
+    const contents = parseJSON(await readInput(values.json), values.json);
+    const node = values.node || defaultNodes[config.chain];
+    if (!node) {
+      throw new UsageError(`inject needs --node <url> for the ${config.chain} chain`);
+    }
+
+    let bitshares;
+    let bitsharesWs;
+    try {
+      [bitshares, bitsharesWs] = await Promise.all([
+        import(/* webpackIgnore: true */ 'bitsharesjs'),
+        import(/* webpackIgnore: true */ 'bitsharesjs-ws')
+      ]);
+    } catch (error) {
+      throw new Error('inject needs the bitsharesjs and bitsharesjs-ws packages, install them next to beeteos-js');
+    }
+    const { Apis } = bitsharesWs;
+
+    return withConnection(config, async (connection) => {
+      const TXBuilder = connection.chain('BTS').injectTransactionBuilder(bitshares.TransactionBuilder, { sign: true, broadcast: true, timeout: config.timeout });
+      await Apis.instance(node, true, 10000, { enableCrypto: false, enableOrders: true }).init_promise;
+      try {
+        const tr = new TXBuilder();
+        tr.add_type_operation(operation, contents);
+        await tr.set_required_fees();
+        await tr.update_head_block();
+        if (contents.expiry) {
+          await tr.set_expire_seconds(2630000); // 1 month expiry
+        }
+        tr.add_signer("inject_wif");
+        const result = await tr.broadcast();
+        return typeof result === 'string' ? parseJSON(result, "Beet's response") : result;
+      } finally {
+        Apis.close();
+      }
+    });
+  }
+};
+
+/**
+ * Runs the beeteos command line
+ *
+ * @param {Array} argv Arguments after the executable, e.g. process.argv.slice(2)
+ * @param {Object} io {stdout, stderr} streams, the process streams by default
+ * @returns {Promise} Resolves to the exit status
+ */
+async function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args: argv, options: optionSpec, allowPositionals: true }));
+  } catch (error) {
+    io.stderr.write(`${error.message}\n\n${usage}\n`);
+    return 2;
+  }
+
+  const [command, ...args] = positionals;
+  if (values.help || !command || command === 'help') {
+    io.stdout.write(`${usage}\n`);
+    return values.help || command === 'help' ? 0 : 2;
+  }
+  if (!commands[command]) {
+    io.stderr.write(`Unknown command: ${command}\n\n${usage}\n`);
+    return 2;
+  }
+
+  const print = (data) => JSON.stringify(data, null, values.pretty ? 2 : undefined) + '\n';
+  try {
+    const result = await commands[command](settings(values, io), args, values);
+    io.stdout.write(print(result === undefined ? null : result));
+    return command === 'status' && !result.online ? 1 : 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      io.stderr.write(`${error.message}\n`);
+      return 2;
+    }
+    io.stderr.write(print({
+      error: {
+        name: error && error.name ? error.name : 'Error',
+        code: error instanceof BeetError ? error.code : null,
+        message: error && error.message ? error.message : String(error)
+      }
+    }));
+    return 1;
+  }
+}
+
+export {
+  main
+};
@@ -0,0 +1,9 @@
+import { eosioChains, isEosjsApi, injectEosjs } from "./lib/eosio.js";
+
+// Entry point for injecting into an eosjs Api, also available as BeetConnection.inject()
+
+export {
+  eosioChains,
+  isEosjsApi,
+  injectEosjs
+};
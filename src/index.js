@@ -1,10 +1,94 @@
-import sha256 from "crypto-js/sha256.js";
 import BeetConnection from "./lib/BeetConnection.js";
-const allowedChains = ["ANY", "BTS", "BTS_TEST", "EOS", "TLOS", "TUSC", "BEOS"];
-import { io } from "socket.io-client";
+import SharedBeetConnection from "./lib/SharedBeetConnection.js";
+import {
+  BeetError,
+  BeetOfflineError,
+  NotConnectedError,
+  NotLinkedError,
+  UserRejectedError,
+  BeetRequestError,
+  InvalidResponseError,
+  RequestTimeoutError,
+  RequestCancelledError,
+  ConnectionLostError,
+  ProtocolMismatchError,
+  UnsupportedMethodError,
+  ChainUnsupportedError,
+  IdChainMismatchError,
+  DecryptionError,
+  BeetIdentityChangedError,
+  IdentityRevokedError,
+  TransactionMismatchError
+} from "./lib/errors.js";
+import { sha256, encryptionSchemes } from "./lib/crypto.js";
+import {
+  IdentityStore,
+  MemoryIdentityStore,
+  LocalStorageIdentityStore,
+  IndexedDBIdentityStore,
+  FileIdentityStore
+} from "./lib/identity/index.js";
+import { API_VERSION, supportedApiVersions } from "./lib/protocol.js";
+import { defaultEndpointOptions } from "./lib/endpoints.js";
+import { discoverBeet } from "./lib/discovery.js";
+import { logLevels } from "./lib/logger.js";
+import { checkBeet } from "./check.js";
+import { registerChain, registeredChains } from "./lib/chains.js";
+import { Transport, SocketIOTransport, WebSocketTransport, PostMessageTransport, MemoryServer } from "./lib/transports/index.js";
 
-let httpPort = 60555;
-let httpsPort = 60554;
+/**
+ * Connects a BeetConnection to the first reachable and compatible endpoint and authenticates it
+ *
+ * @param {BeetConnection} beetConnection
+ * @param {Object} identity
+ * @param {Object} options Endpoint options, see connect()
+ * @returns {Promise} Rejects with a BeetError, e.g. BeetOfflineError or ProtocolMismatchError
+ */
+async function openConnection(beetConnection, identity, options) {
+  const logger = beetConnection.logger;
+  const discovery = await discoverBeet(options);
+
+  for (const result of discovery.results) {
+    if (result.error) {
+      logger.info('endpoint unavailable', { url: result.url, reachable: result.reachable, error: result.error });
+    }
+  }
+
+  let reachable = discovery.results
+                    .filter((result) => result.reachable && result.compatible)
+                    .map((result) => Object.assign({}, result.endpoint, { capabilities: result.capabilities }));
+
+  if (!reachable.length) {
+    const mismatch = discovery.results.find((result) => result.error instanceof ProtocolMismatchError);
+    if (mismatch) {
+      throw mismatch.error;
+    }
+    logger.warn('Beeteos is offline, launch it then try again.');
+    throw new BeetOfflineError(null, { results: discovery.results });
+  }
+
+  let authToken;
+  let lastError;
+  for (const endpoint of reachable) { // fall back through the reachable endpoints in order
+    try {
+      authToken = await beetConnection.connect(identity, endpoint, null, options.discoveryTimeout);
+      break;
+    } catch (error) {
+      lastError = error;
+      logger.warn('connection attempt failed', { url: endpoint.url, error });
+    }
+  }
+
+  if (!authToken) {
+    throw lastError;
+  }
+
+  await beetConnection.setAuth(authToken);
+
+  if (beetConnection.connected) {
+    logger.info('connected to Beet', { url: beetConnection.endpoint.url, version: beetConnection.capabilities.version });
+  }
+}
 
 /**
  * Gets an instance of a beeteos connected application, and does the identity handling for the requested chain.
@@ -15,81 +99,89 @@ let httpsPort = 60554;
  * @param {String} chain (Target blockchain)
  * @param {BeetConnection} existingBeetConnection (Provide stored connection)
  * @param {Object} identity
- * @returns {BeetConnection}
+ * @param {Object} options
+ * @param {Object|Boolean} options.reconnect (Opt in to automatic reconnection, see BeetConnection.enableReconnect)
+ * @param {String} options.host (Host of the TLS endpoint, defaults to local.get-beet.io)
+ * @param {String} options.httpHost (Host of the plain endpoint, defaults to localhost)
+ * @param {Object} options.ports ({https, http} ports, defaults to 60554 and 60555)
+ * @param {Array} options.protocols (Order in which the endpoints are tried, defaults to ['https', 'http'])
+ * @param {Object} options.tls (Socket options for the TLS endpoint)
+ * @param {Object} options.socketOptions (Extra socket.io options)
+ * @param {String|Array} options.url (Explicit endpoint url(s), e.g. a local mock server)
+ * @param {String|Function|Object} options.transport ('socket.io' (default), 'websocket', 'postMessage', a factory or a MemoryServer)
+ * @param {Object} options.transportOptions (Options for the websocket and postMessage transports)
+ * @param {Number} options.discoveryTimeout (Milliseconds to wait for each endpoint to answer, defaults to 3000)
+ * @param {IdentityStore} options.store (Reads the identity when none is passed and keeps it up to date after every request)
+ * @param {String} options.chain (Chain of the identity to read from the store, any chain when omitted)
+ * @param {Function|Object} options.logger (Receives log records, a function or console compatible object, silent when omitted)
+ * @param {String} options.logLevel (Minimum level to log: 'debug', 'info' (default), 'warn', 'error' or 'silent')
+ * @param {Boolean|Object} options.share (Share one Beet socket between the browser tabs of the app, requires options.store, see SharedBeetConnection)
+ * @returns {BeetConnection} Rejects with a BeetError, e.g. BeetOfflineError or ProtocolMismatchError
 */
 export const connect = async function (
   appName,
   browser,
   origin,
   existingBeetConnection = null,
-  identity = null
+  identity = null,
+  options = {}
 ) {
   return new Promise(async (resolve, reject) => {
     let appHash;
     try {
-      appHash = sha256(browser + ' ' + origin + ' ' + appName).toString();
+      appHash = sha256(browser + ' ' + origin + ' ' + appName);
     } catch (error) {
-      console.log(error);
-      return;
+      return reject(error);
     }
-  
-    let beetConnection;
-    try {
-      beetConnection = existingBeetConnection
-                          ? existingBeetConnection // attempt to reconnect
-                          : new BeetConnection(appName, appHash, browser, origin, identity);
-    } catch (error) {
-      console.log(error);
-      return;
+
+    if (options.store && !identity) {
+      try {
+        identity = await options.store.get(appHash, options.chain);
+      } catch (error) {
+        return reject(error);
+      }
     }
 
-    let ssl;
-    try {
-      ssl = await checkBeet(true, httpsPort);
-    } catch (error) {
-      console.log(`checkBeet ssl: ${error}`);
+    if (options.share && !options.store) {
+      return reject(new Error("Sharing a connection between tabs requires an identity store, see options.store"));
     }
 
-    let http;
+    let beetConnection;
     try {
-      http = await checkBeet(false, httpPort);
+      beetConnection = existingBeetConnection
+                          ? existingBeetConnection // attempt to reconnect
+                          : options.share
+                            ? new SharedBeetConnection(appName, appHash, browser, origin, identity, options.share === true ? {} : options.share)
+                            : new BeetConnection(appName, appHash, browser, origin, identity);
     } catch (error) {
-      console.log(`checkBeet http: ${error}`);
-    }
-
-    if (!ssl && !http) {
-      console.log("Beeteos is offline, launch it then try again.");
-      return reject("Beeteos is offline");
+      return reject(error);
     }
 
-    let authToken;
     try {
-      authToken = await beetConnection.connect(
-        identity,
-        ssl ? true : false,
-        ssl ? httpsPort : httpPort
-      )
-    } catch (error) {
-      console.log(`${ssl ? 'https' : 'http'} connection attempt error: ${error}`);
-    }
+      if (options.logger) {
+        beetConnection.setLogger(options.logger, options.logLevel);
+      }
 
-    if (!authToken) { // fallback to http
-      try {
-        authToken = await beetConnection.connect(identity, false, httpPort)
-      } catch (error) {
-        console.log(`http connection attempt error: ${error}`);
+      if (options.store) {
+        beetConnection.setIdentityStore(options.store);
       }
-    }
 
-    try {
-      await beetConnection.setAuth(authToken);
+      if (options.reconnect) {
+        beetConnection.enableReconnect(options.reconnect);
+      }
     } catch (error) {
-      console.log(error);
-      return;
+      return reject(error);
     }
 
-    if (beetConnection.connected) {
-      console.log(`Connected to Beet`)
+    try {
+      if (beetConnection instanceof SharedBeetConnection) {
+        // every tab which takes over the connection reads the identity the previous leader stored
+        await beetConnection.start(async () => openConnection(beetConnection, await options.store.get(appHash, options.chain), options));
+      } else {
+        await openConnection(beetConnection, identity, options);
+      }
+    } catch (error) {
+      return reject(error);
     }
 
     return resolve(beetConnection);
@@ -103,54 +195,72 @@ export const connect = async function (
  *
  * @param {String} chain (Target blockchain)
  * @param {BeetConnection} beetConnection (Provide stored connection)
- * @returns {Object}
+ * @param {Object} options (Request timeout and abort signal)
+ * @returns {Object} Response of Beet, rejects with a BeetError, e.g. UserRejectedError or ChainUnsupportedError
 */
-export const link = async function (chain = 'ANY', beetConnection) {
-  if (!chain || !chain in allowedChains) {
-    console.log("Unable to establish a chain connection without target chain.");
-    return;
+export const link = async function (chain = 'ANY', beetConnection, options = {}) {
+  if (!chain || (chain !== 'ANY' && !registeredChains().includes(chain))) {
+    throw new ChainUnsupportedError(chain);
   }
 
   if (!beetConnection) {
-    console.log("No beeteos connection for link request");
-    return;
+    throw new NotConnectedError("No beeteos connection for link request");
   }
 
-  let linkage;
-  try {
-    linkage = await beetConnection.link(chain);
-  } catch (error) {
-    console.log(`Unable to link: ${error}`);
-    return;
-  }
+  return beetConnection.link(chain, undefined, options);
 }
 
 /**
- * Checks for a beeteos web socket response
- * @param {boolean} enableSSL
- * @returns {boolean} Resolves to true (if installed) and false (not installed)
+ * Explicitly trust a new Beet public key for a stored identity, after connect() rejected with BeetIdentityChangedError
+ * and the user confirmed the change. Connect again with the returned identity.
+ *
+ * @param {Object} identity (Stored identity)
+ * @param {String} pubKey (error.details.received of the BeetIdentityChangedError)
+ * @returns {Object} The identity, pinned to the new key
 */
-export const checkBeet = async function (enableSSL = true, port = 60554) {
-  return new Promise((resolve, reject) => {
-    let socket;
-    try {
-      socket = enableSSL
-                ? io(`wss://local.get-beet.io:${port}/`, {transports: ['websocket'], rejectUnauthorized: false})
-                : io(`ws://localhost:${port}`);
-    } catch (error) {
-      console.log(error);
-      resolve(false);
-    }
-
-    socket.on("connect_error", (error) => {
-      socket.disconnect();
-      resolve(false);
-    });
-    
-    socket.emit("ping", 'pong');
-
-    socket.on("pong", (response) => {
-      resolve(response);
-    });
-  });
+export const trustBeetKey = function (identity, pubKey) {
+  if (!identity || !pubKey) {
+    throw new Error("An identity and a Beet public key are required");
+  }
+  return Object.assign({}, identity, { beetkey: pubKey });
 }
+
+export {
+  checkBeet,
+  registerChain,
+  registeredChains,
+  defaultEndpointOptions,
+  discoverBeet,
+  Transport,
+  SocketIOTransport,
+  WebSocketTransport,
+  PostMessageTransport,
+  MemoryServer,
+  IdentityStore,
+  MemoryIdentityStore,
+  LocalStorageIdentityStore,
+  IndexedDBIdentityStore,
+  FileIdentityStore,
+  BeetError,
+  BeetOfflineError,
+  NotConnectedError,
+  NotLinkedError,
+  UserRejectedError,
+  BeetRequestError,
+  InvalidResponseError,
+  RequestTimeoutError,
+  RequestCancelledError,
+  ConnectionLostError,
+  ProtocolMismatchError,
+  UnsupportedMethodError,
+  ChainUnsupportedError,
+  IdChainMismatchError,
+  DecryptionError,
+  BeetIdentityChangedError,
+  IdentityRevokedError,
+  TransactionMismatchError,
+  encryptionSchemes,
+  logLevels,
+  API_VERSION,
+  supportedApiVersions
+};
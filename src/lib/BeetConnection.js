@@ -1,16 +1,45 @@
 import { v4 as uuidv4 } from 'uuid';
 import * as OTPAuth from 'otpauth';
-
-import { io } from "socket.io-client";
-
-import sha256 from "crypto-js/sha256.js";
-import aes from "crypto-js/aes.js";
-import ENC from 'crypto-js/enc-utf8.js';
 import * as ed from '@noble/ed25519';
 
-class BeetConnection {
+import EventEmitter from './EventEmitter.js';
+import { createLogger } from './logger.js';
+import { resolveEndpoint } from './endpoints.js';
+import { DISCOVERY_TIMEOUT } from './discovery.js';
+import { createTransport, CLIENT_DISCONNECT } from './transports/index.js';
+import { API_VERSION, beetErrorCodes, errorFromBeet, parseCapabilities, checkCompatibility } from './protocol.js';
+import { sha256, negotiateEncryption, encryptPayload, decryptPayload } from './crypto.js';
+import { validateLink, identityFields, createChainApi } from './chains.js';
+import {
+  BeetOfflineError,
+  NotConnectedError,
+  NotLinkedError,
+  UserRejectedError,
+  BeetRequestError,
+  RequestTimeoutError,
+  RequestCancelledError,
+  ConnectionLostError,
+  UnsupportedMethodError,
+  ChainUnsupportedError,
+  IdChainMismatchError,
+  DecryptionError,
+  BeetIdentityChangedError,
+  IdentityRevokedError
+} from './errors.js';
+
+const defaultReconnectOptions = {
+  retries: 5, // Attempts before giving up, Infinity keeps trying
+  minDelay: 1000, // Milliseconds before the first attempt
+  maxDelay: 30000, // Upper bound for the exponential backoff
+  factor: 2, // Backoff multiplier applied after every failed attempt
+  timeout: 10000, // Milliseconds allowed for each reconnect and relink attempt
+  replay: [] // Api methods resent when in flight once relinked, e.g. ['getAccount'], the others are rejected
+};
+
+class BeetConnection extends EventEmitter {
 
     constructor(appName, appHash, browser, origin, identity) {
+      super();
       this.appName = appName; // Name/identifier of the app making use of this client
       this.appHash = appHash;
       this.browser = browser;
@@ -25,20 +54,171 @@ class BeetConnection {
       this.linked = false; // Whether this app has linked itself to a Beeteos account/id
       this.otp = null; // Holds the one-time-password generation for the linked account
       this.requests = []; // Holds pending API request promises to be resolved upon beeteos response
+      this.apiQueue = Promise.resolve(); // Settles once the last queued api request has settled
+      this.idChainError = null; // Set when Beet reported an id chain mismatch, until resync()
+      this.requestTimeout = 0; // Default milliseconds to wait for a beeteos response, 0 waits forever
       this.socket = null;
+      this.capabilities = null; // Api version, chains and methods advertised by Beet, null entries are unknown
+
+      this.endpoint = null; // Endpoint of the last connect() call, reused when reconnecting
+      this.reconnectOptions = null; // Automatic reconnection is disabled unless configured
+      this.reconnecting = false;
+
+      this.identityStore = null; // Persists the identity whenever it changes, see setIdentityStore()
+      this.persisting = Promise.resolve();
+      this.unsubscribeStore = null;
+    }
+
+    /**
+     * Route the log records of this connection to a logger, payloads and secrets are redacted
+     *
+     * @param {Function|Object} sink A function taking a record or a console compatible object, null silences logging
+     * @param {String} level Minimum level to log: 'debug', 'info', 'warn', 'error' or 'silent'
+     */
+    setLogger(sink, level = 'info') {
+      this.logger = createLogger(sink, level);
+    }
+
+    /**
+     * Persist the linked identity to a store whenever it changes, including the next_id rotated by every api request
+     *
+     * @param {IdentityStore} store Null stops persisting
+     */
+    setIdentityStore(store) {
+      if (this.unsubscribeStore) {
+        this.unsubscribeStore();
+      }
+      this.identityStore = store;
+      this.unsubscribeStore = store
+                                ? this.on('identityChanged', () => { this.persisting = this.persistIdentity(); })
+                                : null;
+    }
+
+    /**
+     * Write the current identity to the identity store, if it is linked
+     *
+     * @returns {Promise}
+     */
+    async persistIdentity() {
+      if (!this.identityStore || !this.identity || !this.identity.identityhash) {
+        return;
+      }
+      try {
+        await this.identityStore.set(this.identity);
+      } catch (error) {
+        this.logger.error('unable to store the identity', { identityhash: this.identity.identityhash, error });
+      }
+    }
+
+    /**
+     * Opt in to automatic reconnection with exponential backoff when the beeteos socket drops.
+     * Linked identities are relinked transparently. In-flight api requests are rejected with ConnectionLostError, as
+     * Beet may have acted on them already, unless their method is listed in the replay option: only list idempotent
+     * methods, replaying e.g. injectedCall may broadcast a transaction twice.
+     *
+     * Emits 'reconnecting' ({attempt, delay}), 'reconnected' ({attempt}) and 'reconnect_failed' ({attempts, error}).
+     *
+     * @param {Object|Boolean} options Overrides for the default reconnect options, false disables reconnection
+     */
+    enableReconnect(options = {}) {
+      if (options && options.replay !== undefined && !Array.isArray(options.replay)) {
+        throw new Error("The replay option lists the api methods to resend, e.g. ['getAccount']");
+      }
+      this.reconnectOptions = options === false
+                                ? null
+                                : Object.assign({}, defaultReconnectOptions, options === true ? {} : options);
     }
 
     /**
      * Reset current connection data if 3 concurrent errors occur
      */
     reset() {
-        this.connected = false;
-        this.authenticated = false;
-        this.identity = null;
-        this.linked = false;
+        this.updateState({
+          connected: false,
+          authenticated: false,
+          identity: null,
+          linked: false
+        });
         this.socket = null;
         this.otp = null;
+        this.failRequests(this.requests, 'reset');
         this.requests = [];
+        this.idChainError = null;
+    }
+
+    /**
+     * Snapshot of the connection status for UI bindings, the identity secret is left out
+     *
+     * @returns {Object}
+     */
+    getState() {
+        let identity = null;
+        if (this.identity) {
+          const { secret, ...publicIdentity } = this.identity;
+          identity = publicIdentity;
+        }
+
+        return {
+          connected: this.connected,
+          authenticated: this.authenticated,
+          linked: this.linked,
+          reconnecting: this.reconnecting,
+          chain: this.identity ? this.identity.chain : null,
+          identity: identity,
+          pendingRequests: this.requests.length
+        };
+    }
+
+    /**
+     * Observe the connection status, compatible with Svelte stores and simple to bind in React or Vue
+     *
+     * @param {Function} listener Called immediately and after every change with getState()
+     * @returns {Function} Call to unsubscribe
+     */
+    subscribe(listener) {
+        listener(this.getState());
+        return this.on('stateChanged', listener);
+    }
+
+    /**
+     * Applies state changes and notifies subscribers.
+     *
+     * Emits 'connected', 'authenticated', 'linked' and 'unlinked' on transitions of the matching flags,
+     * 'identityChanged' whenever an identity is passed (it is often updated in place) and 'stateChanged' after any change.
+     *
+     * @param {Object} changes
+     * @param {Object} cause Attached to the state passed to the transition events, e.g. why the identity was unlinked
+     */
+    updateState(changes, cause = null) {
+        let changed = false;
+        const transitions = [];
+        for (const key of Object.keys(changes)) {
+          if (this[key] === changes[key] && (key !== 'identity' || !changes[key])) {
+            continue; // unchanged, identities are compared by reference as they are updated in place
+          }
+          this[key] = changes[key];
+          changed = true;
+
+          if (key === 'connected' && this.connected) {
+            transitions.push(['connected']);
+          } else if (key === 'authenticated' && this.authenticated) {
+            transitions.push(['authenticated']);
+          } else if (key === 'linked') {
+            transitions.push([this.linked ? 'linked' : 'unlinked']);
+          } else if (key === 'identity') {
+            transitions.push(['identityChanged', this.getState().identity]);
+          }
+        }
+
+        if (!changed) {
+          return;
+        }
+
+        const state = this.getState();
+        for (const [event, data] of transitions) {
+          this.emit(event, data !== undefined ? data : (cause ? Object.assign({ cause }, state) : state));
+        }
+        this.emit('stateChanged', state);
     }
 
     /**
@@ -51,108 +231,501 @@ class BeetConnection {
           let id = this.next_identification;
           let new_id = await uuidv4();
           this.next_identification = new_id;
+          if (this.identity) {
+            this.identity.next_id = new_id; // keep the stored identity relinkable
+            this.updateState({ identity: this.identity });
+            await this.persisting; // stored before Beet can act on the new id
+          }
 
-          let next_hash = await sha256(new_id).toString();
+          let next_hash = sha256(new_id);
           return {
               id: id,
               next_hash: next_hash.toString()
           };
         } else {
-            throw new Error("You must be connected, authorised and linked.");
+            throw new NotLinkedError();
         }
     }
 
     /**
      * Sends a request to Beet.
-     * If it is an API request, it is encrypted with a combination of:
-     *   1. AES using a one-time-pass generated by the request id (as a counter)
-     *   2. A previously established shared secret with Beeteos (using ECDH)
+     * If it is an API request, it is encrypted with the scheme negotiated with Beet (see crypto.js):
+     *   - aes-256-gcm: authenticated AES-GCM keyed by HKDF of the ECDH secret shared with Beet and the request id
+     *   - legacy (older Beet releases): AES keyed by a one-time-pass generated from the shared secret and request id (as a counter)
+     *
+     * Api requests are queued and sent one at a time: every api request consumes the id announced by the
+     * previous one (next_hash), so the chain of ids shared with Beet only stays in sync if it advances strictly in order.
+     * Any number of concurrent callers is therefore safe.
+     *
+     * The request is abandoned if no response arrives within the timeout (which includes the time spent queued)
+     * or if the signal aborts, in which case Beet is told to dismiss the matching prompt.
      *
      * @param {string} type Name of the call to execute
      * @param {object} payload
+     * @param {object} options
+     * @param {number} options.timeout Milliseconds to wait for a response, 0 waits forever (defaults to this.requestTimeout)
+     * @param {AbortSignal} options.signal Cancels the request when aborted
      * @returns {Promise} Resolving is done by Beet
      */
-    async sendRequest(type, payload) {
+    async sendRequest(type, payload, options = {}) {
+        const timeout = options.timeout !== undefined ? options.timeout : this.requestTimeout;
+        const signal = options.signal;
+
         return new Promise(async (resolve, reject) => {
           if (!this.connected || !this.socket) {
-            return reject('No beeteos ws connection.');
+            return reject(new NotConnectedError());
           }
 
-          let request = {type: type};
-          if (type == 'api') {
-              let ids = await this.fetch_ids();
-              payload.next_hash = ids.next_hash;
-              request.id = ids.id;
-              this.otp.counter = request.id;
-              let key = this.otp.generate();
-              request.payload = aes.encrypt(JSON.stringify(payload), key).toString();
-          } else {
-              request.id = await uuidv4();
-              request.payload = payload;
+          if (signal && signal.aborted) {
+            return reject(new RequestCancelledError(type, null, signal.reason));
+          }
+
+          if (type == 'api' && !this.supportsMethod(payload.method)) {
+            return reject(new UnsupportedMethodError(payload.method));
           }
-          
-          console.log(`sending ${type} request`);
-          this.requests.push(Object.assign(request, { resolve, reject }));
-          this.socket.emit(type, request); // Message beeteos wallet
+
+          let request = { type: type, id: null, original: payload, sent: false };
+          const { turn, release } = this.queueRequest(type);
+
+          let timer;
+          const onAbort = () => {
+            this.abandonRequest(request, new RequestCancelledError(type, request.id, signal.reason));
+          };
+          const settle = (callback) => (value) => {
+            if (request.settled) {
+              return;
+            }
+            request.settled = true;
+            clearTimeout(timer);
+            if (signal) {
+              signal.removeEventListener('abort', onAbort);
+            }
+            if (!request.preparing) {
+              request.releaseTurn(); // keep the queue order when settled while still queued
+            }
+            this.removeRequest(request.id);
+            this.emit('requestSettled', {
+              id: request.id,
+              type: type,
+              status: callback === resolve ? 'resolved' : 'rejected',
+              error: callback === reject ? value : undefined
+            });
+            this.emit('stateChanged', this.getState());
+            callback(value);
+          };
+
+          if (timeout > 0) {
+            timer = setTimeout(() => {
+              this.abandonRequest(request, new RequestTimeoutError(type, request.id, timeout));
+            }, timeout);
+          }
+          if (signal) {
+            signal.addEventListener('abort', onAbort);
+          }
+          request.resolve = settle(resolve);
+          request.reject = settle(reject);
+          request.releaseTurn = () => turn.then(release);
+
+          await turn;
+          if (request.settled) {
+            return; // timed out or cancelled while queued
+          }
+          if (type == 'api' && this.idChainError) {
+            return request.reject(this.idChainError);
+          }
+          if (!this.connected || !this.socket) {
+            return request.reject(new ConnectionLostError('disconnected while queued', type));
+          }
+
+          if (!(await this.prepareQueuedRequest(request))) {
+            return;
+          }
+
+          this.logger.debug('sending request', { id: request.id, type: type, encryption: request.encryption });
+          this.requests.push(request);
+          this.emitRequest(request);
+          request.sent = true;
+          this.emit('requestSent', { id: request.id, type: type });
+          this.emit('stateChanged', this.getState());
         });
     }
 
+    /**
+     * Takes a place in the api request queue, other request types are not queued
+     *
+     * @param {string} type
+     * @returns {Object} turn resolves once the previous api request settled, call release once this one settled
+     */
+    queueRequest(type) {
+        if (type != 'api') {
+          return { turn: Promise.resolve(), release: () => {} };
+        }
+
+        const turn = this.apiQueue;
+        let release;
+        this.apiQueue = new Promise((resolve) => {
+          release = resolve;
+        });
+        return { turn, release };
+    }
+
+    /**
+     * Whether Beet advertised support for an api method, assumed true when Beet does not advertise its methods
+     *
+     * @param {string} method
+     * @returns {Boolean}
+     */
+    supportsMethod(method) {
+        return !this.capabilities || !this.capabilities.methods || this.capabilities.methods.includes(method);
+    }
+
+    /**
+     * Whether Beet advertised support for a chain, assumed true when Beet does not advertise its chains
+     *
+     * @param {string} chain
+     * @returns {Boolean}
+     */
+    supportsChain(chain) {
+        return chain === 'ANY' || !this.capabilities || !this.capabilities.chains || this.capabilities.chains.includes(chain);
+    }
+
+    /**
+     * Assigns the id of a request, encrypting the payload of api requests
+     *
+     * @param {string} type
+     * @param {object} payload
+     * @returns {Object} id and payload to send
+     */
+    async prepareRequest(type, payload) {
+        if (type == 'api') {
+            let ids = await this.fetch_ids();
+            payload.next_hash = ids.next_hash;
+            const encryption = negotiateEncryption(this.capabilities);
+            return {
+              id: ids.id,
+              encryption: encryption,
+              payload: await encryptPayload(encryption, this.payloadKeys(), ids.id, JSON.stringify(payload))
+            };
+        }
+
+        return {
+          id: await uuidv4(),
+          payload: payload
+        };
+    }
+
+    /**
+     * Assigns the id and payload of a request about to be sent. When the request times out or is cancelled
+     * meanwhile, e.g. while the rotated id is being stored, Beet never sees it: its id is handed back to the
+     * id chain and the api queue moves on only then.
+     *
+     * @param {object} request
+     * @returns {Boolean} Whether the request is to be sent
+     */
+    async prepareQueuedRequest(request) {
+        const id = this.next_identification;
+        let prepared;
+        request.preparing = true;
+        try {
+          prepared = await this.prepareRequest(request.type, request.original);
+        } catch (error) {
+          request.preparing = false;
+          if (request.type == 'api') {
+            this.rewindId(id); // e.g. the payload could not be serialized or encrypted once the id was rotated
+          }
+          if (request.settled) {
+            request.releaseTurn();
+          } else {
+            request.reject(error);
+          }
+          return false;
+        }
+        request.preparing = false;
+
+        if (request.settled) {
+          if (request.type == 'api') {
+            this.rewindId(prepared.id);
+          }
+          request.releaseTurn();
+          return false;
+        }
+
+        Object.assign(request, prepared);
+        return true;
+    }
+
+    /**
+     * Hands the id of an api request which was never sent back to the id chain: Beet still expects it,
+     * as its successor was never announced
+     *
+     * @param {String} id
+     */
+    rewindId(id) {
+        if (this.next_identification === id) {
+          return;
+        }
+        this.next_identification = id;
+        if (this.identity) {
+          this.identity.next_id = id;
+          this.updateState({ identity: this.identity });
+        }
+    }
+
+    /**
+     * Message beeteos wallet, leaving the local bookkeeping of the request out of the message
+     *
+     * @param {object} request
+     */
+    emitRequest(request) {
+        let message = {
+          type: request.type,
+          id: request.id,
+          payload: request.payload
+        };
+        if (request.encryption) {
+          message.encryption = request.encryption;
+        }
+        this.socket.send(request.type, message);
+    }
+
+    /**
+     * Key material of the linked identity for payload encryption
+     *
+     * @returns {Object} {secret, otp}
+     */
+    payloadKeys() {
+        return {
+          secret: this.secret || (this.identity ? this.identity.secret : null),
+          otp: this.otp
+        };
+    }
+
+    /**
+     * Removes a request from the list of requests pending a beeteos response
+     *
+     * @param {string} id
+     */
+    removeRequest(id) {
+        this.requests = this.requests.filter((request) => request.id !== id);
+    }
+
+    /**
+     * Rejects a pending request without waiting for Beet, and asks Beet to dismiss its prompt
+     *
+     * @param {object} request
+     * @param {Error} error
+     */
+    abandonRequest(request, error) {
+        if (request.settled) {
+          return;
+        }
+
+        request.reject(error);
+
+        if (request.sent && this.connected && this.socket) {
+          this.socket.send('dismissRequest', {
+            type: 'dismissRequest',
+            id: request.id,
+            payload: { type: request.type }
+          });
+        }
+    }
+
+    /**
+     * Asks Beet to forget the linked identity, then forgets it locally, see revokeIdentity().
+     * Beet reporting that it no longer knows the identity counts as success.
+     *
+     * @param {object} options Request options (timeout, signal), see sendRequest
+     * @param {Boolean} options.force Forget the identity locally even if Beet could not be told, e.g. while offline
+     * @returns {Promise} Resolves once the identity is forgotten
+     */
+    async unlink(options = {}) {
+      if (!this.identity || !this.identity.identityhash) {
+        throw new NotLinkedError("There is no linked identity to unlink");
+      }
+
+      const identity = this.identity;
+      try {
+        await this.sendRequest('unlinkRequest', { identityhash: identity.identityhash, chain: identity.chain }, options);
+      } catch (error) {
+        if (!options.force) {
+          throw error;
+        }
+        this.logger.warn('Beet was not told to unlink', { identityhash: identity.identityhash, error });
+      }
+
+      if (this.identity === identity) {
+        await this.revokeIdentity('app');
+      }
+    }
+
+    /**
+     * Forgets the linked identity: pending api requests are rejected with IdentityRevokedError, the identity is
+     * removed from the identity store and 'unlinked' is emitted with a cause of {initiator, reason, identityhash, chain}.
+     * The connection stays open and the app can link() again.
+     *
+     * @param {String} initiator 'app' (unlink()) or 'beet' (revoked in Beet)
+     * @param {String} reason Reason given by Beet, if any
+     * @returns {Promise} Resolves once the identity is removed from the store
+     */
+    async revokeIdentity(initiator, reason = null) {
+      const identity = this.identity;
+      if (!identity) {
+        return;
+      }
+
+      const error = new IdentityRevokedError(identity.identityhash, initiator, reason);
+      const pending = this.requests.filter((request) => request.type === 'api');
+      this.otp = null;
+      this.secret = null;
+      this.next_identification = null;
+      this.idChainError = null;
+      this.updateState(
+        { identity: null, linked: false },
+        { initiator, reason, identityhash: identity.identityhash, chain: identity.chain }
+      );
+      for (const request of pending) {
+        request.reject(error);
+      }
+
+      if (this.identityStore && identity.apphash) {
+        await this.persisting;
+        try {
+          await this.identityStore.remove(identity.apphash, identity.chain);
+        } catch (storeError) {
+          this.logger.error('unable to remove the identity from the store', { identityhash: identity.identityhash, error: storeError });
+        }
+      }
+    }
+
     /**
      * Set auth values outwith the socket class
      * @param {object} authToken
      */
     setAuth(authToken) {
-      this.authenticated = authToken.payload.authenticate;
-      this.linked = authToken.payload.link;
+      this.updateState({
+        authenticated: authToken.payload.authenticate,
+        linked: authToken.payload.link
+      });
       if (!authToken.payload.link) {
         this.beetkey = authToken.payload.pub_key;
       }
     }
 
+    /**
+     * Trust on first use: the public key of Beet is recorded in the identity when linking and every later
+     * connect or relink must present the same key, otherwise another local process may be impersonating Beet.
+     * Identities linked before keys were recorded are pinned to the first key seen.
+     *
+     * @param {String} received Public key presented by Beet, if any
+     * @throws {BeetIdentityChangedError}
+     */
+    verifyBeetKey(received) {
+      if (!received || !this.identity || !this.identity.identityhash) {
+        return;
+      }
+
+      if (!this.identity.beetkey) {
+        this.identity.beetkey = received;
+        this.updateState({ identity: this.identity });
+        return;
+      }
+
+      if (this.identity.beetkey !== received) {
+        throw new BeetIdentityChangedError(this.identity.beetkey, received);
+      }
+    }
+
+    /**
+     * Explicitly trust a new public key for Beet, e.g. after the user confirmed that Beet was reinstalled.
+     * Pass error.details.received of the BeetIdentityChangedError, then connect again.
+     *
+     * A reinstalled Beet no longer knows the identity, in which case relinking fails and the app has to link anew.
+     *
+     * @param {String} pubKey
+     */
+    trustBeetKey(pubKey) {
+      if (!pubKey) {
+        throw new Error("A Beet public key is required");
+      }
+      this.beetkey = pubKey;
+      if (this.identity) {
+        this.identity.beetkey = pubKey;
+        this.updateState({ identity: this.identity });
+      }
+    }
+
     /**
      * Connects to beeteos instance. If one of the existing linked identities (returned by init()) is passed, it also tries to enable that link
      * 
      * @param {Object} identity
-     * @param {Boolean} ssl
-     * @returns {Promise} Resolves to false if not connected after timeout, or to result of 'authenticate' beeteos call
+     * @param {Object|Boolean} endpoint Endpoint from resolveEndpoints(), or whether to use the default TLS endpoint
+     * @param {Number} port Port of the default endpoint, when endpoint is a boolean
+     * @param {Number} timeout Milliseconds allowed to open the socket and authenticate, defaults to requestTimeout or,
+     *                         when requests wait forever, to the discovery timeout
+     * @returns {Promise} Resolves to the result of the 'authenticate' beeteos call, rejects with RequestTimeoutError
+     *                    when Beet does not authenticate in time and with ConnectionLostError when the socket drops first
      */
-    async connect(identity = null, ssl = true, port) {
-      return new Promise((resolve, reject) => {
+    async connect(identity = null, endpoint = true, port = null, timeout = this.requestTimeout || DISCOVERY_TIMEOUT) {
+      return new Promise((settleResolve, settleReject) => {
+        let timer;
+        const resolve = (value) => {
+          clearTimeout(timer);
+          settleResolve(value);
+        };
+        const reject = (error) => {
+          clearTimeout(timer);
+          settleReject(error);
+        };
+
         if (!identity) {
           this.reset();
         } else {
-          this.identity = identity;
+          this.updateState({ identity });
         }
+        this.endpoint = typeof endpoint === 'object'
+                          ? endpoint
+                          : resolveEndpoint(endpoint, port);
+        this.capabilities = parseCapabilities(null, this.endpoint.capabilities);
 
         let socket;
         try {
-          socket = ssl
-                    ? io(`wss://local.get-beet.io:${port}/`, { secure: true, rejectUnauthorized: false })
-                    : io(`ws://localhost:${port}`);
+          // socket.io's own reconnection is disabled, it would resume the socket without authenticating
+          socket = createTransport(this.endpoint, { reconnection: false });
         } catch (error) {
-          console.log(error);
-          return reject(false);
+          this.logger.error('unable to open the transport', { url: this.endpoint.url, error });
+          return reject(error);
         }
 
+        let opened = false;
+        timer = setTimeout(() => {
+          this.logger.warn('Beet did not authenticate in time', { url: this.endpoint.url, timeout });
+          reject(new RequestTimeoutError('authenticate', null, timeout));
+          socket.disconnect();
+        }, timeout);
+
         /**
          * Successfully connected to the beeteos wallet
          */
         socket.on("connect", async () => {
 
-            this.connected = true;
-            console.log('received connected socket response');
+            opened = true;
+            this.updateState({ connected: true });
+            this.logger.debug('connected', { url: this.endpoint.url });
 
             let payload = identity && identity.identityhash
                             ? {
                                 origin: this.origin,
                                 appName: this.appName,
                                 browser: this.browser,
+                                apiversion: API_VERSION,
                                 identityhash: identity.identityhash,
                               }
                             : {
                                 origin: this.origin,
                                 appName: this.appName,
                                 browser: this.browser,
+                                apiversion: API_VERSION,
                               };
             
             let authReq = {
@@ -161,12 +734,21 @@ class BeetConnection {
               payload: payload
             };
 
-            socket.emit('authenticate', authReq);
+            socket.send('authenticate', authReq);
             
             socket.on('authenticated', (auth) => {
-              console.log('socket: authenticated')
+              this.logger.debug('authenticated', { id: auth.id, type: 'authenticate', link: !!(auth.payload && auth.payload.link) });
+              this.capabilities = parseCapabilities(auth.payload, this.capabilities);
+              try {
+                checkCompatibility(this.capabilities);
+                this.verifyBeetKey(auth.payload.pub_key);
+              } catch (error) {
+                reject(error);
+                socket.disconnect();
+                return;
+              }
+
               if (auth.payload.link) {
-                console.log(`authenticated: link`)
                 this.otp = new OTPAuth.HOTP({
                     issuer: "Beet",
                     label: "BeetAuth",
@@ -175,7 +757,7 @@ class BeetConnection {
                     counter: 0,
                     secret: OTPAuth.Secret.fromHex(this.identity.secret)
                 });
-                this.identity = Object.assign(this.identity, auth.payload.requested);
+                this.updateState({ identity: Object.assign(this.identity, auth.payload.requested) });
               } else {
                 this.beetkey = auth.payload.pub_key;
               }
@@ -192,28 +774,42 @@ class BeetConnection {
             });
 
             if (!relevantRequest) {
-              console.log(`Couldn't respond to link request`);
+              this.logger.warn('no pending request for the link response', { id: linkRequest.id, type: 'link' });
               return; // throw?
             }
 
             if (linkRequest.error) {
-              console.log(`An error occurred during linking: ${linkRequest.payload.message}`)
-              relevantRequest.reject(linkRequest);
+              this.logger.warn('link request failed', { id: linkRequest.id, type: relevantRequest.type, code: linkRequest.payload && linkRequest.payload.code });
+              relevantRequest.reject(errorFromBeet(relevantRequest.type, linkRequest.id, linkRequest.payload, this.identity ? this.identity.identityhash : null));
+              return;
             }
 
-            this.linked = linkRequest.payload.link;
-            this.authenticated = linkRequest.payload.authenticate;
-            this.identity = linkRequest.payload.existing && this.identity
-                              ? Object.assign(this.identity, linkRequest.payload.requested)
-                              : {
-                                  apphash: this.appHash,
-                                  identityhash: linkRequest.payload.identityhash,
-                                  chain: linkRequest.payload.chain,
-                                  appName: this.appName,
-                                  secret: this.secret,
-                                  next_id: this.next_identification,
-                                  requested: linkRequest.payload.requested,
-                              };
+            if (linkRequest.payload.existing) {
+              try {
+                this.verifyBeetKey(linkRequest.payload.pub_key);
+              } catch (error) {
+                relevantRequest.reject(error);
+                return;
+              }
+            }
+
+            this.updateState({
+              authenticated: linkRequest.payload.authenticate,
+              identity: linkRequest.payload.existing && this.identity
+                          ? Object.assign(this.identity, linkRequest.payload.requested)
+                          : {
+                              ...identityFields(linkRequest.payload.chain, linkRequest.payload.requested),
+                              apphash: this.appHash,
+                              identityhash: linkRequest.payload.identityhash,
+                              chain: linkRequest.payload.chain,
+                              appName: this.appName,
+                              secret: this.secret,
+                              next_id: this.next_identification,
+                              beetkey: this.beetkey, // pinned, see verifyBeetKey()
+                              requested: linkRequest.payload.requested,
+                            },
+              linked: linkRequest.payload.link
+            });
 
             this.otp = new OTPAuth.HOTP({
                 issuer: "Beet",
@@ -231,59 +827,119 @@ class BeetConnection {
            * Response to api request from beeteos wallet
            */
           socket.on("api", async (msg) => {
-            console.log("socket.api"); // groupCollapsed
+            this.logger.debug('api response', { id: msg.id, type: 'api', error: !!msg.error, encryption: msg.encryption });
 
             const relevantRequest = this.requests.find((x) => {
               return x.id === msg.id || x.id.toString() === msg.id
             });
 
             if (!relevantRequest) {
-              console.log(`No relevant requests`);
+              this.logger.warn('no pending request for the api response', { id: msg.id, type: 'api' });
               return;
             }
 
             if (msg.error) {
-              if (msg.payload.code == 2) {
-                console.log("msg code 2: reset")
-                this.reset();
+              const error = errorFromBeet('api', msg.id, msg.payload, this.identity ? this.identity.identityhash : null);
+              if (error instanceof IdentityRevokedError) {
+                this.logger.warn('identity revoked by Beet', { id: msg.id, type: 'api', identityhash: error.details.identityhash });
+                this.revokeIdentity('beet', error.details.reason); // rejects the request
+                return;
+              }
+              if (error instanceof IdChainMismatchError) {
+                this.idChainError = error;
               }
-              relevantRequest.reject(msg.payload);
+              relevantRequest.reject(error);
+              return;
             }
 
-            if (msg.encrypted) {
-              this.otp.counter = msg.id;
-              let key = this.otp.generate();
-              let decryptedValue;
-              try {
-                decryptedValue = aes.decrypt(msg.payload, key).toString(ENC);
-              } catch (error) {
-                console.log(error);
-                relevantRequest.reject(error);
-              }
-              relevantRequest.resolve(decryptedValue);
-            } else {
-              relevantRequest.resolve(msg.payload);
+            // Responses are only trusted once decrypted and authenticated with the scheme the request was sent with
+            const encryption = msg.encryption || negotiateEncryption(null);
+            if (!msg.encrypted || encryption !== relevantRequest.encryption) {
+              relevantRequest.reject(new DecryptionError(msg.id, msg.encrypted
+                                                                  ? `expected ${relevantRequest.encryption} but got ${encryption}`
+                                                                  : 'the response was not encrypted'));
+              return;
+            }
+
+            let decryptedValue;
+            try {
+              decryptedValue = await decryptPayload(encryption, this.payloadKeys(), msg.id, msg.payload);
+            } catch (error) {
+              this.logger.error('unable to decrypt the api response', { id: msg.id, type: 'api', error });
+              relevantRequest.reject(error);
+              return;
+            }
+            relevantRequest.resolve(decryptedValue);
+          });
+
+          /**
+           * Response to unlink request from beeteos wallet
+           */
+          socket.on("unlink", (msg) => {
+            const relevantRequest = this.requests.find((x) => {
+              return x.id === msg.id || x.id.toString() === msg.id
+            });
+
+            if (!relevantRequest) {
+              this.logger.warn('no pending request for the unlink response', { id: msg.id, type: 'unlink' });
+              return;
+            }
+
+            if (msg.error && !(msg.payload && msg.payload.code == beetErrorCodes.IDENTITY_REVOKED)) {
+              relevantRequest.reject(errorFromBeet('unlinkRequest', msg.id, msg.payload));
+              return;
+            }
+            relevantRequest.resolve(msg);
+          });
+
+          /**
+           * The identity was revoked in beeteos, e.g. the user removed the app
+           */
+          socket.on("revoked", (msg) => {
+            const identityhash = msg && msg.payload ? msg.payload.identityhash : null;
+            if (!this.identity || !identityhash || identityhash !== this.identity.identityhash) {
+              return;
             }
+            this.revokeIdentity('beet', msg.payload.reason);
           });
 
-          socket.on("disconnect", async () => {
-            this.connected = false;
+          socket.on("disconnect", async (reason) => {
+            reject(new ConnectionLostError(reason, 'authenticate')); // unless authenticated already
+            if (this.socket !== socket) {
+              return; // superseded by a newer socket
+            }
+
+            const wasLinked = this.linked;
+            const inFlight = this.requests;
             this.socket = null;
             this.requests = [];
-            console.log("Websocket closed");
+            this.updateState({ connected: false });
+            this.logger.info('disconnected', { url: this.endpoint.url, reason, pending: inFlight.length });
+            this.emit('disconnected', { reason });
+
+            const manual = reason === CLIENT_DISCONNECT;
+            if (!this.reconnectOptions || manual || this.reconnecting) {
+              this.failRequests(inFlight, reason);
+              return;
+            }
+
+            this.reconnect(wasLinked, inFlight, reason);
           });
 
           socket.on("reconnect_error", (error) => {
-            console.log(`reconnect_error: ${error}`);
+            this.logger.warn('reconnect error', { error });
             if (this.socket) {
               this.socket.disconnect();
             }
           })
 
           socket.on("connect_error", async (error) => {
-            console.log(`BeetConnection connect_error ${error}`);
+            this.logger.warn('connect error', { url: this.endpoint.url, error });
+            const reason = error && error.message ? error.message : error;
+            reject(opened
+                    ? new ConnectionLostError(reason, 'authenticate')
+                    : new BeetOfflineError(reason, { url: this.endpoint.url }));
             if (!this.socket) {
-              console.log('no socket')
               return;
             }
 
@@ -294,16 +950,144 @@ class BeetConnection {
       });
     }
 
+    /**
+     * Closes the beeteos socket, pending requests are rejected and no reconnection is attempted
+     */
+    disconnect() {
+      if (this.socket) {
+        this.socket.disconnect();
+      }
+    }
+
+    /**
+     * Recovers from an id chain mismatch reported by Beet (IdChainMismatchError).
+     *
+     * Relinking sends Beet a fresh next_hash for the stored identity, after which queued and new api requests
+     * are sent again. If Beet rejects the relink the identity is cleared and the app has to link() again.
+     *
+     * @param {object} options Request options (timeout, signal), see sendRequest
+     * @returns {Object} Result of the relink request
+     */
+    async resync(options = {}) {
+      if (!this.identity || !this.identity.identityhash) {
+        throw new NotLinkedError("There is no linked identity to resync");
+      }
+
+      const relinked = await this.link(this.identity.chain, undefined, options);
+      if (!this.linked) {
+        throw new IdChainMismatchError("Beet rejected the relink, link again");
+      }
+
+      this.idChainError = null;
+      return relinked;
+    }
+
+    /**
+     * Reconnects with exponential backoff, relinking the stored identity and replaying the in-flight api requests
+     * of the methods allowed by the replay option
+     *
+     * @param {Boolean} relink Whether the dropped connection was linked
+     * @param {Array} inFlight Requests which were pending when the connection dropped
+     * @param {String} reason Why the connection dropped, the other requests are rejected with it
+     */
+    async reconnect(relink, inFlight, reason = 'reconnecting') {
+      const { retries, minDelay, maxDelay, factor, timeout, replay } = this.reconnectOptions;
+      const replayable = inFlight.filter((request) => {
+        return relink && request.type === 'api' && replay.includes(request.original.method);
+      });
+      this.failRequests(inFlight.filter((request) => !replayable.includes(request)), reason);
+
+      this.updateState({ reconnecting: true });
+      let lastError;
+      for (let attempt = 1; attempt <= retries; attempt++) {
+        const delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+        this.emit('reconnecting', { attempt, delay });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+
+        if (!this.reconnectOptions) {
+          lastError = new ConnectionLostError('reconnection disabled');
+          break;
+        }
+
+        try {
+          const authToken = await this.connect(this.identity, this.endpoint, null, timeout);
+          this.setAuth(authToken);
+          if (relink) {
+            await this.link(this.identity.chain, undefined, { timeout });
+            if (!this.linked) {
+              lastError = new ConnectionLostError('relink rejected');
+              break; // retrying will not help
+            }
+          }
+        } catch (error) {
+          this.logger.warn('reconnect attempt failed', { attempt, error });
+          lastError = error;
+          if (error instanceof BeetIdentityChangedError || error instanceof IdentityRevokedError || isRejection(error)) {
+            break; // needs the app's attention, retrying will not help
+          }
+          if (this.socket) {
+            const socket = this.socket;
+            this.socket = null; // silence its disconnect handler
+            this.updateState({ connected: false });
+            socket.disconnect();
+          }
+          continue;
+        }
+
+        this.updateState({ reconnecting: false });
+        this.emit('reconnected', { attempt });
+        for (const request of replayable) {
+          this.replayRequest(request);
+        }
+        return;
+      }
+
+      this.updateState({ reconnecting: false });
+      this.failRequests(replayable, 'reconnect failed');
+      this.emit('reconnect_failed', { attempts: retries, error: lastError });
+    }
+
+    /**
+     * Resends an in-flight api request over the current connection with a fresh id
+     *
+     * @param {object} request
+     */
+    async replayRequest(request) {
+      if (request.settled) {
+        return; // timed out or cancelled while reconnecting
+      }
+
+      if (!(await this.prepareQueuedRequest(request))) {
+        return;
+      }
+      this.requests.push(request);
+      this.emitRequest(request);
+    }
+
+    /**
+     * Rejects requests which can no longer be answered by beeteos
+     *
+     * @param {Array} requests
+     * @param {String} reason
+     */
+    failRequests(requests, reason) {
+      for (const request of requests) {
+        request.reject(new ConnectionLostError(reason, request.type, request.id));
+      }
+    }
 
     /**
      * Requests to link to a beeteos account/id on specified chain
      *
      * @param {String} chain Symbol of the chain to be linked
      * @param {String} requestDetails Details to be requested from the user, defaults to account (id and name)
+     * @param {object} options Request options (timeout, signal), see sendRequest
      * @returns {Object||Null}
      */
-    async link(chain = 'ANY', requestDetails = ["account"]) {
-      if (!this.connected) throw new Error("You must connect to beeteos first.");
+    async link(chain = 'ANY', requestDetails = ["account"], options = {}) {
+      if (!this.connected) throw new NotConnectedError();
+      if (!this.supportsChain(chain)) throw new ChainUnsupportedError(chain);
+      validateLink(chain, requestDetails);
 
       let linkObj = {
         chain: chain,
@@ -313,7 +1097,6 @@ class BeetConnection {
       let next_id;
       if (this.identity && this.identity.identityhash) {
         // Relinking
-        console.log("RELINKING")
         next_id = this.identity.next_id;
         this.next_identification = next_id;
         this.secret = this.identity.secret;
@@ -321,344 +1104,165 @@ class BeetConnection {
       } else {
         // Linking
         if (!this.beetkey) {
-          console.error("no beetkey");
-          return;
+          throw new NotConnectedError("Beet did not present its public key, authenticate with beeteos first");
         }
 
         const privk = ed.utils.randomPrivateKey();
-
-        let secret;
-        try {
-          secret = await ed.getSharedSecret(privk, this.beetkey);
-        } catch (error) {
-          console.error(error);
-          return;
-        }
-
+        const secret = await ed.getSharedSecret(privk, this.beetkey);
         this.secret = ed.utils.bytesToHex(secret);
         next_id = await uuidv4();
 
-        let pubk;
-        try {
-          pubk = await ed.getPublicKey(privk);
-        } catch (error) {
-          console.error(error);
-          return;
-        }
-        linkObj['pubkey'] = ed.utils.bytesToHex(pubk);  
+        const pubk = await ed.getPublicKey(privk);
+        linkObj['pubkey'] = ed.utils.bytesToHex(pubk);
       }
 
       this.next_identification = next_id;
-      let next_hash;
-      try {
-        next_hash = await sha256(next_id).toString();
-      } catch (error) {
-        console.error(error);
-        return;
-      }
-
-      linkObj['next_hash'] = next_hash;
+      linkObj['next_hash'] = sha256(next_id);
 
       let sentRequest;
       try {
         if (this.identity && this.identity.identityhash) {
-          console.log('sending relink request')
-          sentRequest = await this.sendRequest('relinkRequest', {...linkObj, identityhash: this.identity.identityhash});
+          sentRequest = await this.sendRequest('relinkRequest', {...linkObj, identityhash: this.identity.identityhash}, options);
         } else {
-          console.log('sending link request')
-          sentRequest = await this.sendRequest('linkRequest', linkObj);
+          sentRequest = await this.sendRequest('linkRequest', linkObj, options);
         }
       } catch (error) {
-        console.debug(
-          this.identity && this.identity.identityhash
-            ? "link rejected"
-            : "relink rejected",
-          error
-        );
-        this.identity = null;
-        return;
+        if (error instanceof IdentityRevokedError) {
+          await this.revokeIdentity('beet', error.details.reason);
+        } else if (isRejection(error)) {
+          this.logger.info(
+            this.identity && this.identity.identityhash
+              ? "relink rejected"
+              : "link rejected",
+            { chain, error }
+          );
+          this.updateState({ identity: null });
+        }
+        throw error; // timed out, cancelled or disconnected: the identity is still valid
       }
 
       return sentRequest;
     }
 
-    /*
-     * Inject an external blockchain library into beeteos-js
-     */
-    inject(pointOfInjection, options = {sign: true, broadcast: true}) {
-        if (this.identity.chain == "BTS" || this.identity.chain == "BTS_TEST" || this.identity.chain == "TUSC") {
-            if (!!pointOfInjection.prototype && !!pointOfInjection.prototype.get_type_operation) {
-                // transaction builder
-                return this.injectTransactionBuilder(pointOfInjection, options);
-            }
-        } else if (this.identity.chain == "STEEM") {
-            if (pointOfInjection.broadcast) {
-                return this.injectSteemLib(pointOfInjection, options);
-            }
-        } else if (this.identity.chain == "BNB_TEST") {
-            if (!!pointOfInjection.placeOrder) {
-                return this.injectBinanceLib(pointOfInjection, options);
-            }
-        }
-        throw new Error("Unsupported point of injection")
-    }
-
     /**
-     * Enable the user to inject the bitsharesjs library for advanced bitshares chain interaction
+     * API of a chain: the api methods Beet offers for every chain, the methods of the chain's plugin
+     * (e.g. getAccount and signNFT on BitShares) and inject() for its libraries, see registerChain()
      *
-     * @param {Module} TransactionBuilder
-     * @param {object} options
-     * @returns {Module}
+     * @param {String} chain Symbol of the chain, defaults to the chain of the linked identity
+     * @returns {Object} Its methods throw NotLinkedError unless an identity of the chain is linked
      */
-    injectTransactionBuilder(TransactionBuilder, options) {
-        let sendRequest = this.sendRequest.bind(this);
-
-        // if both options are set, we only want 1 beeteos call anyways
-        if (options.sign && options.broadcast) {
-            // forfeit private keys, and store public keys
-            TransactionBuilder.prototype.add_signer = function add_signer(private_key, public_key) {
-                if (typeof private_key !== "string" || !private_key || private_key !== "inject_wif") {
-                    throw new Error("Do not inject wif while using Beet")
-                }
-                if (!this.signer_public_keys) {
-                    this.signer_public_keys = [];
-                }
-                this.signer_public_keys.push(public_key);
-            };
-            TransactionBuilder.prototype.sign = function sign(chain_id = null) {
-                // do nothing, wait for broadcast
-                if (!this.tr_buffer) {
-                    throw new Error("not finalized");
-                }
-                if (this.signed) {
-                    throw new Error("already signed");
-                }
-                if (!this.signer_public_keys.length) {
-                    throw new Error(
-                        "Transaction was not signed. Do you have a private key? [no_signers]"
-                    );
-                }
-                this.signed = true;
-            };
-            let send_to_beet = function sendToBeet(builder) {
-                return new Promise((resolve, reject) => {
-                    if (builder.operations.length != builder.operations.length) {
-                        throw "Serialized and constructed operation count differs"
-                    }
-                    let args = ["signAndBroadcast", JSON.stringify(builder.toObject()), builder.signer_public_keys];
-                    sendRequest('api', {
-                        method: 'injectedCall',
-                        params: args
-                    }).then((result) => {
-                        resolve(result);
-                    }).catch((err) => {
-                        reject(err);
-                    });
-                });
-            };
-            TransactionBuilder.prototype.broadcast = function broadcast(was_broadcast_callback) {
-                return new Promise((resolve, reject) => {
-                    // forward to beet
-                    send_to_beet(this).then(
-                        result => {
-                            if (was_broadcast_callback) {
-                                was_broadcast_callback();
-                            }
-                            resolve(result);
-                        }
-                    ).catch(err => {
-                        reject(err);
-                    });
-                });
-            }
-        } else if (options.sign && !options.broadcast) {
-            // forfeit private keys, and store public keys
-            TransactionBuilder.prototype.add_signer = function add_signer(private_key, public_key) {
-                if (typeof private_key !== "string" || !private_key || private_key !== "inject_wif") {
-                    throw new Error("Do not inject wif while using Beet")
-                }
-                if (!this.signer_public_keys) {
-                    this.signer_public_keys = [];
-                }
-                this.signer_public_keys.push(public_key);
-            };
-            TransactionBuilder.prototype.sign = function sign(chain_id = null) {
-                return new Promise((resolve, reject) => {
-                    let args = ["sign", JSON.stringify(this.toObject()), this.signer_public_keys];
-                    sendRequest('api', {
-                        method: 'injectedCall',
-                        params: args
-                    }).then((result) => {
-                        // check that it's the same
-                        console.log(result);
-                        let tr = new TransactionBuilder(JSON.parse(result));
-                        let sigs = tr.signatures;
-                        tr.signatures = [];
-                        if (JSON.stringify(tr) === JSON.stringify(this)) {
-                            throw "Oh boy!"
-                        }
-                        this.signatures = sigs;
-                        this.signer_private_keys = [];
-                        this.signed = true;
-                        resolve();
-                    }).catch((err) => {
-                        reject(err);
-                    });
-                });
-            };
-        } else if (!options.sign && options.broadcast) {
-            throw "Unsupported injection"
+    chain(chain = this.identity ? this.identity.chain : null) {
+        if (!chain) {
+          throw new NotLinkedError();
         }
-        return TransactionBuilder;
+        return createChainApi(this, chain);
     }
 
     /* API Requests :
 
-       The following should be split into chain-specific modules as multi-chain support is finalised
-       These are currently BTS only.
+       The chain specific methods live in the chain plugins (see chains.js), the following are kept
+       for compatibility and forward to the chain API of the linked identity.
 
     */
 
+    /**
+     * Inject an external blockchain library into beeteos-js
+     *
+     * @deprecated Use connection.chain().inject()
+     */
+    inject(pointOfInjection, options = {sign: true, broadcast: true}) {
+        return this.chain().inject(pointOfInjection, options);
+    }
+
+    /**
+     * @deprecated Use connection.chain('BTS').injectTransactionBuilder()
+     */
+    injectTransactionBuilder(TransactionBuilder, options) {
+        return this.chain('BTS').injectTransactionBuilder(TransactionBuilder, options);
+    }
+
     /**
      * Gets the currently linked Bitshares account
      *
-     * @returns {Promise} Resolving is done by Beet
+     * @deprecated Use connection.chain('BTS').getAccount()
      */
     getAccount() {
-        if (!!this.identity.account) {
-            return this.identity.account;
-        } else {
-            throw "This connection does not have access to account details";
-        }
+        return this.chain('BTS').getAccount();
     }
 
     /**
-     * Gets the currently linked Bitshares account from Beet
+     * Gets the currently linked account from Beet
      *
-     * @returns {JSON} Current account from beet
+     * @deprecated Use connection.chain().requestAccount()
      */
-    async requestAccount() {
-        let account;
-        try {
-          account = await this.sendRequest('api', {
-              method: 'getAccount',
-              params: {}
-          });
-        } catch (error) {
-          console.log(error);
-          return;
-        }
-
-        return JSON.parse(account);
+    async requestAccount(options = {}) {
+        return this.chain().requestAccount(options);
     }
 
     /**
      * Requests a signature for an arbitrary transaction
      *
      * @param {object} payload
+     * @param {object} options Request options (timeout, signal), see sendRequest
      * @returns {Promise} Resolving is done by Beet
      */
-    async requestSignature(payload) {
-      let sigReq;
-      try {
-        sigReq = await this.sendRequest('api', {
-            method: 'requestSignature',
-            params: payload
-        });
-      } catch (error) {
-        console.log(error);
-        return;
-      }
-      return sigReq;
+    async requestSignature(payload, options = {}) {
+      return this.sendRequest('api', {
+          method: 'requestSignature',
+          params: payload
+      }, options);
     }
 
     /**
      * Requests to execute a library call for the linked chain
      *
      * @param payload
+     * @param {object} options Request options (timeout, signal), see sendRequest
      * @returns {Promise} Resolving is done by Beet
      */
-    async injectedCall(payload) {
-      let injectedCall;
-      try {
-        injectedCall = await this.sendRequest('api', {
-            method: 'injectedCall',
-            params: payload
-        });
-      } catch (error) {
-        console.log(error)
-        return;
-      }
-
-      return injectedCall;
+    async injectedCall(payload, options = {}) {
+      return this.sendRequest('api', {
+          method: 'injectedCall',
+          params: payload
+      }, options);
     }
 
     /**
      * Request a signed message with the given text in the common beeteos format
      *
-     * @param text
-     * @returns {Promise} Resolving is done by Beet
+     * @deprecated Use connection.chain().signMessage()
      */
-    async signMessage(text) {
-      let message;
-      try {
-        message = await this.sendRequest('api', {
-            method: 'signMessage',
-            params: text
-        });
-      } catch (error) {
-        console.log(error);
-        return;
-      }
-
-      if (message) {
-        return JSON.parse(message);
-      }
+    async signMessage(text, options = {}) {
+      return this.chain().signMessage(text, options);
     }
 
     /**
      * Sign an nft_object for NFTs on the Bitshares network
      *
-     * @param {Object} nft_object
-     * @returns {Promise} Resolving is done by Beet
+     * @deprecated Use connection.chain('BTS').signNFT()
      */
-     async signNFT(nft_object) {
-      let message;
-      try {
-        message = await this.sendRequest('api', {
-            method: 'signNFT',
-            params: JSON.stringify(nft_object)
-        });
-      } catch (error) {
-        console.log(error);
-        return;
-      }
-
-      if (message) {
-        return JSON.parse(message);
-      }
+    async signNFT(nft_object, options = {}) {
+      return this.chain('BTS').signNFT(nft_object, options);
     }
 
     /**
      * Requests to verify a signed message with the given text in the common beeteos format
      *
-     * @param text
-     * @returns {Promise} Resolving is done by Beet
+     * @deprecated Use connection.chain().verifyMessage()
      */
-    async verifyMessage(signedMessage) {
-      let result;
-      try {
-        result = await this.sendRequest('api', {
-            method: 'verifyMessage',
-            params: signedMessage
-        });
-      } catch (error) {
-        console.log(error);
-        return;
-      }
-
-      return result;
+    async verifyMessage(signedMessage, options = {}) {
+      return this.chain().verifyMessage(signedMessage, options);
     }
 }
 
+/**
+ * Whether Beet turned a request down, as opposed to the request failing to reach Beet or to be answered
+ *
+ * @param {Error} error
+ * @returns {Boolean}
+ */
+function isRejection(error) {
+  return error instanceof UserRejectedError || error instanceof BeetRequestError;
+}
+
 export default BeetConnection;
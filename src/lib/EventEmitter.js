@@ -0,0 +1,86 @@
+import { createLogger } from './logger.js';
+
+/**
+ * Minimal event emitter that works the same in browsers and NodeJS
+ */
+class EventEmitter {
+
+    constructor() {
+      this.listeners = {};
+      this.logger = createLogger(); // Silent unless a logger is injected, e.g. BeetConnection.setLogger()
+    }
+
+    /**
+     * Subscribe to an event
+     *
+     * @param {String} event
+     * @param {Function} listener
+     * @returns {Function} Call to unsubscribe
+     */
+    on(event, listener) {
+      if (!this.listeners[event]) {
+        this.listeners[event] = [];
+      }
+      this.listeners[event].push(listener);
+      return () => this.off(event, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     *
+     * @param {String} event
+     * @param {Function} listener
+     * @returns {Function} Call to unsubscribe
+     */
+    once(event, listener) {
+      const wrapper = (...args) => {
+        this.off(event, wrapper);
+        listener(...args);
+      };
+      return this.on(event, wrapper);
+    }
+
+    /**
+     * Unsubscribe from an event
+     *
+     * @param {String} event
+     * @param {Function} listener
+     */
+    off(event, listener) {
+      if (!this.listeners[event]) {
+        return;
+      }
+      this.listeners[event] = this.listeners[event].filter((x) => x !== listener);
+    }
+
+    /**
+     * Notify the subscribers of an event, a failing listener does not affect the others
+     *
+     * @param {String} event
+     * @param {*} data
+     */
+    emit(event, data) {
+      if (!this.listeners[event]) {
+        return;
+      }
+      for (const listener of [...this.listeners[event]]) {
+        try {
+          listener(data);
+        } catch (error) {
+          this.listenerError(event, error);
+        }
+      }
+    }
+
+    /**
+     * Reports a listener which threw to the logger
+     *
+     * @param {String} event
+     * @param {Error} error
+     */
+    listenerError(event, error) {
+      this.logger.error('event listener failed', { event, error });
+    }
+}
+
+export default EventEmitter;
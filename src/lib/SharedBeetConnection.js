@@ -0,0 +1,468 @@
+import { v4 as uuidv4 } from 'uuid';
+
+import BeetConnection from './BeetConnection.js';
+import {
+  NotConnectedError,
+  NotLinkedError,
+  UnsupportedMethodError,
+  RequestTimeoutError,
+  RequestCancelledError,
+  ConnectionLostError,
+  serializeError,
+  deserializeError
+} from './errors.js';
+
+/**
+ * Calls a follower tab runs in the leader tab, which owns the Beet socket and the id chain of the identity
+ */
+const remoteMethods = {
+  sendRequest: (connection, [type, payload], options) => connection.sendRequest(type, payload, options),
+  link: (connection, [chain, requestDetails], options) => connection.link(chain, requestDetails, options),
+  unlink: (connection, [force], options) => connection.unlink(Object.assign({ force }, options)),
+  resync: (connection, args, options) => connection.resync(options)
+};
+
+/**
+ * A BeetConnection shared by the browser tabs of an app, see connect() with options.share.
+ *
+ * Every api request consumes the request id announced by the previous one, so tabs with their own socket
+ * but the same stored identity quickly desynchronise the id chain. Instead one tab, the leader, holds a
+ * Web Lock and owns the Beet socket; the other tabs follow it over a BroadcastChannel: they forward
+ * sendRequest(), link(), unlink() and resync() to the leader and mirror its state.
+ *
+ * When the leader tab closes or disconnects, its lock passes to a follower, which connects with the identity
+ * the leader stored (an identity store is required) and takes over. Calls still pending with the previous
+ * leader reject with ConnectionLostError.
+ */
+class SharedBeetConnection extends BeetConnection {
+
+    /**
+     * @param {String} appName
+     * @param {String} appHash
+     * @param {String} browser
+     * @param {String} origin
+     * @param {Object} identity
+     * @param {Object} options
+     * @param {String} options.name Tabs of the same app sharing a name share a connection (defaults to 'beeteos')
+     * @param {LockManager} options.locks Web Locks implementation, defaults to navigator.locks
+     * @param {Function} options.createChannel (name) => BroadcastChannel compatible object, defaults to a BroadcastChannel
+     */
+    constructor(appName, appHash, browser, origin, identity, options = {}) {
+      super(appName, appHash, browser, origin, identity);
+
+      this.locks = options.locks || (typeof navigator !== 'undefined' ? navigator.locks : null);
+      this.createChannel = options.createChannel
+                            || (typeof BroadcastChannel !== 'undefined' ? (name) => new BroadcastChannel(name) : null);
+      if (!this.locks || !this.createChannel) {
+        throw new Error("Sharing a connection between tabs requires BroadcastChannel and the Web Locks API");
+      }
+
+      this.channelName = `${options.name || 'beeteos'}:${appHash}`;
+      this.tab = uuidv4(); // Identifies this tab on the channel
+      this.role = null; // 'leader' while this tab owns the Beet socket, 'follower' while another tab does
+      this.leader = null; // Tab id of the leader
+      this.channel = null;
+      this.calls = new Map(); // Calls forwarded to the leader, by call id
+      this.served = new Map(); // AbortControllers of the calls served for followers, by call id
+      this.lockRequest = null; // Aborts waiting for the lock
+      this.releaseLock = null; // Hands the lock, and the Beet socket, to the next tab
+      this.joining = null;
+
+      this.on('stateChanged', () => {
+        if (this.role === 'leader') {
+          this.broadcastState();
+        }
+      });
+    }
+
+    /**
+     * Joins the tabs sharing this connection. The first tab to take the lock connects to Beet with open(),
+     * the others follow it and take over in turn when it leaves.
+     *
+     * @param {Function} open Connects this tab to Beet with the stored identity, called whenever this tab becomes the leader
+     * @returns {Promise} Resolves once connected as the leader or once the first state of the leader arrives,
+     *                   which may be disconnected
+     */
+    start(open) {
+      if (this.channel) {
+        this.leave(); // joining again, e.g. connect() with this connection as existingBeetConnection
+      }
+      this.open = open;
+      this.channel = this.createChannel(this.channelName);
+      this.channel.onmessage = (event) => this.receive(event.data);
+      this.lockRequest = new AbortController();
+
+      return new Promise((resolve, reject) => {
+        this.joining = { resolve, reject };
+        this.locks.request(this.channelName, { signal: this.lockRequest.signal }, () => this.lead())
+          .catch((error) => {
+            if (error && error.name !== 'AbortError') {
+              this.logger.error('unable to take the connection lock', { error });
+            }
+          });
+        this.post({ type: 'hello' });
+      });
+    }
+
+    /**
+     * Holds the lock: connects to Beet and serves the followers until this tab leaves
+     *
+     * @returns {Promise} Settles when the lock is released
+     */
+    async lead() {
+      const takeover = this.role === 'follower' && this.linked; // the followers expect to stay linked
+      this.setRole('leader', this.tab);
+      this.post({ type: 'leader' });
+      this.rejectCalls('the leader tab closed'); // sent to the previous leader
+      this.updateState({ connected: false, authenticated: false, linked: false });
+
+      try {
+        await this.open();
+      } catch (error) {
+        this.logger.warn('unable to connect as the leader tab', { error });
+        this.leave();
+        this.joined(error);
+        return;
+      }
+
+      if (takeover && this.identity && this.identity.identityhash) {
+        try {
+          await this.link(this.identity.chain); // announces the next id of the stored identity, as when reconnecting
+        } catch (error) {
+          this.logger.warn('unable to relink after taking over the connection', { error });
+        }
+      }
+
+      this.logger.info('leading the shared connection', { tab: this.tab });
+      this.broadcastState();
+      this.joined();
+      return new Promise((resolve) => {
+        this.releaseLock = resolve;
+      });
+    }
+
+    /**
+     * @param {Error} error Rejects start() instead of resolving it
+     */
+    joined(error = null) {
+      if (!this.joining) {
+        return;
+      }
+      const { resolve, reject } = this.joining;
+      this.joining = null;
+      if (error) {
+        reject(error);
+      } else {
+        resolve(this);
+      }
+    }
+
+    /**
+     * @param {String} role
+     * @param {String} leader
+     */
+    setRole(role, leader) {
+      const changed = this.role !== role;
+      this.role = role;
+      this.leader = leader;
+      if (changed) {
+        this.emit('roleChanged', { role });
+        this.emit('stateChanged', this.getState());
+      }
+    }
+
+    /**
+     * Snapshot of the connection status, see BeetConnection.getState(), with the role of this tab
+     *
+     * @returns {Object}
+     */
+    getState() {
+      return Object.assign(super.getState(), { role: this.role });
+    }
+
+    /**
+     * @param {Object} message
+     */
+    post(message) {
+      if (!this.channel) {
+        return;
+      }
+      try {
+        this.channel.postMessage(Object.assign({ tab: this.tab }, message));
+      } catch (error) {
+        this.logger.error('unable to message the other tabs', { type: message.type, error });
+      }
+    }
+
+    /**
+     * Sends the state followers mirror, the identity secret stays in the leader tab
+     */
+    broadcastState() {
+      const state = this.getState();
+      this.post({
+        type: 'state',
+        state: {
+          connected: state.connected,
+          authenticated: state.authenticated,
+          linked: state.linked,
+          identity: state.identity,
+          capabilities: this.capabilities
+        }
+      });
+    }
+
+    /**
+     * @param {Object} message From another tab
+     */
+    receive(message) {
+      if (!message || message.tab === this.tab || (message.to && message.to !== this.tab)) {
+        return;
+      }
+
+      switch (message.type) {
+        case 'hello':
+          if (this.role === 'leader') {
+            this.broadcastState();
+          }
+          break;
+        case 'leader':
+          if (this.role !== 'leader') {
+            this.setRole('follower', message.tab);
+            this.rejectCalls('the leader tab closed');
+          }
+          break;
+        case 'state':
+          if (this.role !== 'leader') {
+            this.follow(message.tab, message.state);
+          }
+          break;
+        case 'call':
+          if (this.role === 'leader') {
+            this.serve(message);
+          }
+          break;
+        case 'cancel':
+          if (this.served.has(message.id)) {
+            this.served.get(message.id).abort(message.reason);
+          }
+          break;
+        case 'result':
+          this.settleCall(message);
+          break;
+      }
+    }
+
+    /**
+     * Mirrors the state of the leader, the first state received settles start()
+     *
+     * @param {String} leader
+     * @param {Object} state
+     */
+    follow(leader, state) {
+      this.setRole('follower', leader);
+      this.capabilities = state.capabilities;
+
+      const changes = {
+        connected: state.connected,
+        authenticated: state.authenticated,
+        linked: state.linked
+      };
+      if (JSON.stringify(state.identity) !== JSON.stringify(this.getState().identity)) {
+        changes.identity = state.identity;
+      }
+      this.updateState(changes);
+      this.joined(); // also while the leader is not connected to Beet, which getState().connected tells
+    }
+
+    /**
+     * Runs a call of a follower and answers it
+     *
+     * @param {Object} message
+     */
+    async serve(message) {
+      const controller = new AbortController();
+      this.served.set(message.id, controller);
+      const options = Object.assign({}, message.options, { signal: controller.signal });
+
+      let reply;
+      try {
+        if (!remoteMethods[message.method]) {
+          throw new Error(`${message.method} can not be called from another tab`);
+        }
+        const value = await remoteMethods[message.method](this, message.args || [], options);
+        reply = { type: 'result', to: message.tab, id: message.id, value };
+      } catch (error) {
+        reply = { type: 'result', to: message.tab, id: message.id, error: serializeError(error) };
+      }
+      this.served.delete(message.id);
+      this.post(reply);
+    }
+
+    /**
+     * Runs a method in the leader tab
+     *
+     * @param {String} method See remoteMethods
+     * @param {Array} args
+     * @param {Object} options Request options (timeout, signal), see sendRequest
+     * @returns {Promise} Settles with the result of the leader
+     */
+    call(method, args, options = {}) {
+      const signal = options.signal;
+      const timeout = options.timeout !== undefined ? options.timeout : this.requestTimeout;
+
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          return reject(new RequestCancelledError(method, null, signal.reason));
+        }
+
+        const id = uuidv4();
+        let timer = null;
+        // the call settles in this tab at once, the leader is asked to drop it
+        const abandon = (error, reason) => {
+          if (!this.calls.has(id)) {
+            return;
+          }
+          this.calls.delete(id);
+          cleanup();
+          this.post({ type: 'cancel', to: this.leader, id, reason });
+          reject(error);
+        };
+        const onAbort = () => abandon(new RequestCancelledError(method, null, signal.reason), String(signal.reason));
+        const cleanup = () => {
+          clearTimeout(timer);
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+        };
+
+        if (signal) {
+          signal.addEventListener('abort', onAbort);
+        }
+        if (timeout > 0) {
+          timer = setTimeout(() => abandon(new RequestTimeoutError(method, null, timeout), 'timeout'), timeout);
+        }
+        this.calls.set(id, { method, resolve, reject, cleanup });
+        this.post({ type: 'call', to: this.leader, id, method, args, options: { timeout } });
+      });
+    }
+
+    /**
+     * @param {Object} message Result of a call from the leader
+     */
+    settleCall(message) {
+      const call = this.calls.get(message.id);
+      if (!call) {
+        return;
+      }
+      this.calls.delete(message.id);
+      call.cleanup();
+      if (message.error) {
+        call.reject(deserializeError(message.error));
+      } else {
+        call.resolve(message.value);
+      }
+    }
+
+    /**
+     * Rejects the calls forwarded to a leader which is gone
+     *
+     * @param {String} reason
+     */
+    rejectCalls(reason) {
+      for (const [id, call] of this.calls) {
+        this.calls.delete(id);
+        call.cleanup();
+        call.reject(new ConnectionLostError(reason, call.method));
+      }
+    }
+
+    async sendRequest(type, payload, options = {}) {
+      if (this.role === 'leader') {
+        return super.sendRequest(type, payload, options);
+      }
+      if (!this.connected) {
+        throw new NotConnectedError();
+      }
+      if (type == 'api' && !this.supportsMethod(payload.method)) {
+        throw new UnsupportedMethodError(payload.method);
+      }
+      return this.call('sendRequest', [type, payload], options);
+    }
+
+    async link(chain = 'ANY', requestDetails = ["account"], options = {}) {
+      if (this.role === 'leader') {
+        return super.link(chain, requestDetails, options);
+      }
+      if (!this.connected) {
+        throw new NotConnectedError();
+      }
+      return this.call('link', [chain, requestDetails], options);
+    }
+
+    async unlink(options = {}) {
+      if (this.role === 'leader') {
+        return super.unlink(options);
+      }
+      if (!this.identity || !this.identity.identityhash) {
+        throw new NotLinkedError("There is no linked identity to unlink");
+      }
+      const { force, ...requestOptions } = options;
+      return this.call('unlink', [force], requestOptions);
+    }
+
+    async resync(options = {}) {
+      if (this.role === 'leader') {
+        return super.resync(options);
+      }
+      if (!this.identity || !this.identity.identityhash) {
+        throw new NotLinkedError("There is no linked identity to resync");
+      }
+      return this.call('resync', [], options);
+    }
+
+    /**
+     * Only the leader tab holds the identity secret and stores the identity
+     *
+     * @returns {Promise}
+     */
+    async persistIdentity() {
+      if (this.role === 'leader') {
+        return super.persistIdentity();
+      }
+    }
+
+    /**
+     * Leaves the shared connection, handing the Beet socket to another tab if this one leads
+     */
+    disconnect() {
+      super.disconnect();
+      this.leave();
+    }
+
+    /**
+     * Stops leading or following, the lock is released once the identity is stored
+     */
+    leave() {
+      if (!this.channel) {
+        return;
+      }
+
+      const wasLeader = this.role === 'leader';
+      this.lockRequest.abort();
+      this.rejectCalls('disconnected');
+      this.channel.close();
+      this.channel = null;
+      this.setRole(null, null);
+      if (!wasLeader) {
+        this.updateState({ connected: false, authenticated: false, linked: false });
+      }
+
+      if (this.releaseLock) {
+        const release = this.releaseLock;
+        this.releaseLock = null;
+        this.persisting.then(release);
+      }
+    }
+}
+
+export default SharedBeetConnection;
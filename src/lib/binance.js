@@ -0,0 +1,89 @@
+import { NotLinkedError, ChainUnsupportedError } from './errors.js';
+import { parseResponse } from './protocol.js';
+
+/**
+ * Chains on which a Binance chain client can be injected
+ */
+const binanceChains = ["BNB_TEST"];
+
+/**
+ * Client methods routed through Beet, with the names of their arguments
+ */
+const binanceMethods = {
+  placeOrder: ['address', 'symbol', 'side', 'price', 'quantity', 'sequence', 'timeinforce'],
+  cancelOrder: ['fromAddress', 'symbol', 'refid', 'sequence'],
+  transfer: ['fromAddress', 'toAddress', 'amount', 'asset', 'memo', 'sequence']
+};
+
+/**
+ * Whether a library is a Binance chain client (BncClient of @binance-chain/javascript-sdk)
+ *
+ * @param {*} pointOfInjection
+ * @returns {Boolean}
+ */
+function isBinanceClient(pointOfInjection) {
+  return !!pointOfInjection && typeof pointOfInjection.placeOrder === 'function';
+}
+
+/**
+ * Enable the user to inject a Binance chain client, its orders and transfers are signed by Beet.
+ *
+ * placeOrder(), cancelOrder() and transfer() send their arguments to Beet, which builds the transaction
+ * for the linked account and
+ * - sign and broadcast: signs and broadcasts it, the call resolves to the result of the broadcast
+ * - sign only: signs it, the call resolves to the signed transaction for client.sendRawTransaction()
+ *
+ * @param {BeetConnection} connection Linked connection the transactions are signed through
+ * @param {BncClient} client
+ * @param {object} options sign and broadcast flags, plus timeout and signal for the beeteos requests
+ * @returns {BncClient}
+ */
+function injectBinanceLib(connection, client, options = {sign: true, broadcast: true}) {
+  if (!connection.identity || !binanceChains.includes(connection.identity.chain)) {
+    throw new NotLinkedError("Link a Binance chain identity before injecting the client");
+  }
+  if (!options.sign) {
+    throw new ChainUnsupportedError(connection.identity.chain, "Only signing injections are supported, pass options.sign");
+  }
+
+  const requestOptions = { timeout: options.timeout, signal: options.signal };
+
+  for (const [method, names] of Object.entries(binanceMethods)) {
+    client[method] = async function (...args) {
+      const params = {};
+      names.forEach((name, index) => {
+        if (args[index] !== undefined) {
+          params[name] = args[index];
+        }
+      });
+
+      const result = await connection.injectedCall(
+        [options.broadcast ? "signAndBroadcast" : "sign", JSON.stringify({ method, params }), []],
+        requestOptions
+      );
+      return parseResponse('injectedCall', result);
+    };
+  }
+
+  return client;
+}
+
+/**
+ * Chain plugin of the Binance chain testnet, see registerChain()
+ */
+const binancePlugin = {
+  chains: binanceChains,
+  requestDetails: ["account"],
+  identity: (requested) => ({ account: requested.account }),
+  methods: {},
+  injections: [
+    { name: 'injectBinanceLib', matches: isBinanceClient, inject: injectBinanceLib }
+  ]
+};
+
+export {
+  binancePlugin,
+  binanceChains,
+  isBinanceClient,
+  injectBinanceLib
+};
@@ -0,0 +1,395 @@
+import * as secp from '@noble/secp256k1';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { ripemd160 } from '@noble/hashes/legacy.js';
+import { hexToBytes, concatBytes } from '@noble/hashes/utils.js';
+
+import { NotLinkedError, InvalidResponseError, TransactionMismatchError } from './errors.js';
+import { parseResponse } from './protocol.js';
+
+/**
+ * Chains on which a bitsharesjs TransactionBuilder can be injected
+ */
+const bitsharesChains = ["BTS", "BTS_TEST", "TUSC"];
+
+/**
+ * Prefix of the public keys of each chain
+ */
+const addressPrefixes = { BTS: "BTS", BTS_TEST: "TEST", TUSC: "TUSC" };
+
+/**
+ * Chain ids used to verify signatures when neither sign() nor the injection options name one
+ */
+const knownChainIds = { BTS: "4018d7844c78f6a6c41c6a552b898022310fc5dec06da467ee7905a8dad512c8" };
+
+/**
+ * Fields of a transaction covered by its signatures
+ */
+const signedFields = ["ref_block_num", "ref_block_prefix", "expiration", "operations", "extensions"];
+
+const base58Alphabet = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {String}
+ */
+function base58(bytes) {
+  const digits = [];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] * 256;
+      digits[i] = carry % 58;
+      carry = Math.floor(carry / 58);
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = Math.floor(carry / 58);
+    }
+  }
+  const zeros = bytes.findIndex((byte) => byte !== 0);
+  return "1".repeat(zeros === -1 ? bytes.length : zeros) + digits.reverse().map((digit) => base58Alphabet[digit]).join('');
+}
+
+/**
+ * @param {String|PublicKey} key Public key string, or a bitsharesjs PublicKey
+ * @param {String} prefix
+ * @returns {String}
+ */
+function publicKeyToString(key, prefix) {
+  return typeof key === 'string' ? key : key.toPublicKeyString(prefix);
+}
+
+/**
+ * Public key of a graphene signature (recovery byte, r and s in hex), null when it can not be recovered
+ *
+ * @param {String} signature
+ * @param {Uint8Array} digest sha256 of the chain id and the serialized transaction
+ * @param {String} prefix
+ * @returns {String|null}
+ */
+function recoverSigner(signature, digest, prefix) {
+  try {
+    const bytes = hexToBytes(signature);
+    const recovery = bytes[0] - 31; // 27, plus 4 for compressed keys
+    if (bytes.length !== 65 || recovery < 0 || recovery > 3) {
+      return null;
+    }
+    const key = secp.recoverPublicKey(digest, secp.Signature.fromCompact(bytes.subarray(1)), recovery, true);
+    return prefix + base58(concatBytes(key, ripemd160(key).subarray(0, 4)));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @param {*} value
+ * @returns {String} Numbers and numeric strings compare equal, as bitsharesjs serializes 64 bit integers either way
+ */
+function scalar(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Readable differences between the signed fields of two transactions
+ *
+ * @param {Object} expected Transaction built by the app
+ * @param {Object} received Transaction returned by Beet
+ * @returns {Array} e.g. ["operations[0][1].fee.amount: expected 100, received 200"]
+ */
+function transactionDifferences(expected, received) {
+  const compare = (a, b, path) => {
+    const isObject = (value) => value !== null && typeof value === 'object';
+    if (isObject(a) && isObject(b) && Array.isArray(a) === Array.isArray(b)) {
+      const keys = Array.isArray(a)
+                    ? Array.from({ length: Math.max(a.length, b.length) }, (_, index) => index)
+                    : Array.from(new Set(Object.keys(a).concat(Object.keys(b)))).sort();
+      return keys.flatMap((key) => compare(a[key], b[key], Array.isArray(a) ? `${path}[${key}]` : `${path}.${key}`));
+    }
+    return scalar(a) === scalar(b) ? [] : [`${path}: expected ${JSON.stringify(a)}, received ${JSON.stringify(b)}`];
+  };
+  return signedFields.flatMap((field) => {
+    const defaultValue = field === "extensions" ? [] : undefined;
+    return compare(
+      expected[field] === undefined ? defaultValue : expected[field],
+      received[field] === undefined ? defaultValue : received[field],
+      field
+    );
+  });
+}
+
+/**
+ * Whether a library is a bitsharesjs TransactionBuilder
+ *
+ * @param {*} pointOfInjection
+ * @returns {Boolean}
+ */
+function isTransactionBuilder(pointOfInjection) {
+  return !!pointOfInjection && !!pointOfInjection.prototype && !!pointOfInjection.prototype.get_type_operation;
+}
+
+/**
+ * add_signer(), sign() and broadcast() of injected TransactionBuilders before injection,
+ * so injecting in another mode starts from the bitsharesjs methods
+ */
+const originalMethods = new WeakMap();
+
+/**
+ * Broadcast a transaction signed elsewhere (hardware key, co-signers) through Beet, which asks the user
+ * to confirm and broadcasts it with its own node connection
+ *
+ * @param {BeetConnection} connection Linked connection the transaction is broadcast through
+ * @param {TransactionBuilder|Object|String} transaction Signed TransactionBuilder, or its toObject() as object or JSON
+ * @param {object} options timeout and signal for the beeteos request
+ * @returns {Promise} Resolves to Beet's response
+ */
+async function broadcastTransaction(connection, transaction, options = {}) {
+  if (!connection.identity || !bitsharesChains.includes(connection.identity.chain)) {
+    throw new NotLinkedError("Link a BitShares identity before broadcasting through Beet");
+  }
+
+  let signed = transaction;
+  if (typeof transaction === 'string') {
+    try {
+      signed = JSON.parse(transaction);
+    } catch (error) {
+      throw new Error(`The transaction is not valid JSON: ${error.message}`);
+    }
+  } else if (transaction && typeof transaction.toObject === 'function') {
+    signed = transaction.toObject();
+  }
+
+  if (!signed || !Array.isArray(signed.operations) || !signed.operations.length) {
+    throw new Error("The transaction has no operations");
+  }
+  if (!signed.expiration || signed.ref_block_num === undefined || signed.ref_block_prefix === undefined) {
+    throw new Error("The transaction is not finalized");
+  }
+  if (!Array.isArray(signed.signatures) || !signed.signatures.length) {
+    throw new Error("The transaction is not signed");
+  }
+
+  return connection.injectedCall(
+    ["broadcast", JSON.stringify(signed), []],
+    { timeout: options.timeout, signal: options.signal }
+  );
+}
+
+/**
+ * Enable the user to inject the bitsharesjs library for advanced bitshares chain interaction
+ *
+ * - sign and broadcast: broadcast() has Beet sign and broadcast the transaction in one call
+ * - sign only: sign() has Beet sign the transaction and resolves to the signed transaction, once it has been
+ *   verified to be the transaction built here, signed by the public keys given to add_signer(). bitsharesjs
+ *   broadcasts it. The chain id is passed to sign() or as options.chainId, it defaults to the BitShares mainnet.
+ * - broadcast only: the transaction is signed elsewhere, broadcast() hands it to Beet to broadcast
+ *
+ * @param {BeetConnection} connection Linked connection the transactions are signed through
+ * @param {Module} TransactionBuilder
+ * @param {object} options sign and broadcast flags, chainId, plus timeout and signal for the beeteos requests
+ * @returns {Module}
+ */
+function injectTransactionBuilder(connection, TransactionBuilder, options = {sign: true, broadcast: true}) {
+  if (!connection.identity || !bitsharesChains.includes(connection.identity.chain)) {
+    throw new NotLinkedError("Link a BitShares identity before injecting the TransactionBuilder");
+  }
+
+  let sendRequest = connection.sendRequest.bind(connection);
+  let requestOptions = { timeout: options.timeout, signal: options.signal };
+
+  if (!originalMethods.has(TransactionBuilder)) {
+    const { add_signer, sign, broadcast } = TransactionBuilder.prototype;
+    originalMethods.set(TransactionBuilder, { add_signer, sign, broadcast });
+  }
+  const original = originalMethods.get(TransactionBuilder);
+
+  // if both options are set, we only want 1 beeteos call anyways
+  if (options.sign && options.broadcast) {
+    // forfeit private keys, and store public keys
+    TransactionBuilder.prototype.add_signer = function add_signer(private_key, public_key) {
+      if (typeof private_key !== "string" || !private_key || private_key !== "inject_wif") {
+        throw new Error("Do not inject wif while using Beet")
+      }
+      if (!this.signer_public_keys) {
+        this.signer_public_keys = [];
+      }
+      this.signer_public_keys.push(public_key);
+    };
+    TransactionBuilder.prototype.sign = function sign(chain_id = null) {
+      // do nothing, wait for broadcast
+      if (!this.tr_buffer) {
+        throw new Error("not finalized");
+      }
+      if (this.signed) {
+        throw new Error("already signed");
+      }
+      if (!this.signer_public_keys.length) {
+        throw new Error(
+          "Transaction was not signed. Do you have a private key? [no_signers]"
+        );
+      }
+      this.signed = true;
+    };
+    let send_to_beet = function sendToBeet(builder) {
+      return new Promise((resolve, reject) => {
+        if (builder.operations.length != builder.operations.length) {
+          throw "Serialized and constructed operation count differs"
+        }
+        let args = ["signAndBroadcast", JSON.stringify(builder.toObject()), builder.signer_public_keys];
+        sendRequest('api', {
+          method: 'injectedCall',
+          params: args
+        }, requestOptions).then((result) => {
+          resolve(result);
+        }).catch((err) => {
+          reject(err);
+        });
+      });
+    };
+    TransactionBuilder.prototype.broadcast = function broadcast(was_broadcast_callback) {
+      return new Promise((resolve, reject) => {
+        // forward to beet
+        send_to_beet(this).then(
+          result => {
+            if (was_broadcast_callback) {
+              was_broadcast_callback();
+            }
+            resolve(result);
+          }
+        ).catch(err => {
+          reject(err);
+        });
+      });
+    }
+  } else if (options.sign && !options.broadcast) {
+    TransactionBuilder.prototype.broadcast = original.broadcast;
+    // forfeit private keys, and store public keys
+    TransactionBuilder.prototype.add_signer = function add_signer(private_key, public_key) {
+      if (typeof private_key !== "string" || !private_key || private_key !== "inject_wif") {
+        throw new Error("Do not inject wif while using Beet")
+      }
+      if (!this.signer_public_keys) {
+        this.signer_public_keys = [];
+      }
+      this.signer_public_keys.push(public_key);
+    };
+    TransactionBuilder.prototype.sign = async function sign(chain_id = null) {
+      const chainId = chain_id || options.chainId || knownChainIds[connection.identity.chain];
+      if (!chainId) {
+        throw new Error("The chain id is required to verify Beet's signatures, pass it to sign() or as options.chainId");
+      }
+      const prefix = addressPrefixes[connection.identity.chain];
+      const expectedKeys = (this.signer_public_keys || []).filter((key) => !!key).map((key) => publicKeyToString(key, prefix));
+      if (!expectedKeys.length) {
+        throw new Error('Pass the public key to add_signer("inject_wif", public_key) to verify the signatures of Beet');
+      }
+      if (!this.tr_buffer) {
+        await this.finalize();
+      }
+
+      const transaction = this.toObject();
+      const result = parseResponse('injectedCall', await connection.injectedCall(
+        ["sign", JSON.stringify(transaction), expectedKeys],
+        requestOptions
+      ));
+      if (!result || !Array.isArray(result.signatures) || !result.signatures.length) {
+        throw new InvalidResponseError('injectedCall', null, 'expected the signed transaction');
+      }
+
+      // Beet has to return the transaction built here ...
+      const differences = transactionDifferences(transaction, result);
+      if (differences.length) {
+        throw new TransactionMismatchError(
+          `${differences.length} field(s) differ, ${differences.slice(0, 3).join('; ')}${differences.length > 3 ? '; ...' : ''}`,
+          { differences }
+        );
+      }
+      // ... signed over its serialization by the expected keys, and only by those
+      const digest = sha256(concatBytes(hexToBytes(chainId), Uint8Array.from(this.tr_buffer)));
+      const signers = result.signatures.map((signature) => recoverSigner(signature, digest, prefix));
+      const missing = expectedKeys.filter((key) => !signers.includes(key));
+      const unexpected = signers.filter((key) => !expectedKeys.includes(key));
+      if (missing.length || unexpected.length) {
+        throw new TransactionMismatchError("the signatures are not from the expected public keys", { missing, unexpected });
+      }
+
+      this.signatures = result.signatures;
+      this.signer_private_keys = [];
+      this.signed = true;
+      return this.toObject();
+    };
+  } else if (!options.sign && options.broadcast) {
+    // signatures are collected elsewhere, signing with local keys (add_signer and sign) is left to bitsharesjs
+    TransactionBuilder.prototype.add_signer = original.add_signer;
+    TransactionBuilder.prototype.sign = original.sign;
+    TransactionBuilder.prototype.broadcast = async function broadcast(was_broadcast_callback) {
+      if (!this.tr_buffer) {
+        await this.finalize();
+      }
+      if (!this.signed && this.signer_private_keys && this.signer_private_keys.length) {
+        this.sign();
+      }
+      const result = await broadcastTransaction(connection, this, requestOptions);
+      if (was_broadcast_callback) {
+        was_broadcast_callback();
+      }
+      return result;
+    };
+  }
+  return TransactionBuilder;
+}
+
+/**
+ * Chain plugin of BitShares, its testnet and TUSC, see registerChain()
+ */
+const bitsharesPlugin = {
+  chains: bitsharesChains,
+  requestDetails: ["account"],
+  identity: (requested) => ({ account: requested.account }),
+  methods: {
+    /**
+     * Gets the linked account, as returned by Beet when linking
+     *
+     * @param {BeetConnection} connection
+     * @returns {Object}
+     */
+    getAccount(connection) {
+      if (!connection.identity.account) {
+        throw new NotLinkedError("This connection does not have access to account details");
+      }
+      return connection.identity.account;
+    },
+
+    /**
+     * Sign an nft_object for NFTs on the Bitshares network
+     *
+     * @param {BeetConnection} connection
+     * @param {Object} nft_object
+     * @param {object} options Request options (timeout, signal), see sendRequest
+     * @returns {Promise} Resolves to the signed NFT object
+     */
+    async signNFT(connection, nft_object, options = {}) {
+      if (!nft_object || typeof nft_object !== 'object') {
+        throw new Error("signNFT needs the NFT object to sign");
+      }
+      const message = await connection.sendRequest('api', {
+        method: 'signNFT',
+        params: JSON.stringify(nft_object)
+      }, options);
+
+      return parseResponse('signNFT', message);
+    },
+
+    broadcastTransaction
+  },
+  injections: [
+    { name: 'injectTransactionBuilder', matches: isTransactionBuilder, inject: injectTransactionBuilder }
+  ]
+};
+
+export {
+  bitsharesPlugin,
+  bitsharesChains,
+  isTransactionBuilder,
+  injectTransactionBuilder,
+  broadcastTransaction
+};
@@ -0,0 +1,203 @@
+import { NotLinkedError, ChainUnsupportedError } from './errors.js';
+import { parseResponse } from './protocol.js';
+import { bitsharesPlugin } from './bitshares.js';
+import { eosioPlugin } from './eosio.js';
+import { steemPlugin } from './steem.js';
+import { binancePlugin } from './binance.js';
+
+/**
+ * Plugins of the supported chains by chain symbol, see registerChain()
+ */
+const plugins = new Map();
+
+/**
+ * Api methods Beet offers for every chain, part of every chain API
+ */
+const commonMethods = {
+  /**
+   * Gets the linked account from Beet
+   *
+   * @param {BeetConnection} connection
+   * @param {object} options Request options (timeout, signal), see sendRequest
+   * @returns {Promise} Resolves to the account
+   */
+  async requestAccount(connection, options = {}) {
+    const account = await connection.sendRequest('api', {
+      method: 'getAccount',
+      params: {}
+    }, options);
+
+    return parseResponse('getAccount', account);
+  },
+
+  /**
+   * Request a signed message with the given text in the common beeteos format
+   *
+   * @param {BeetConnection} connection
+   * @param {String} text
+   * @param {object} options Request options (timeout, signal), see sendRequest
+   * @returns {Promise} Resolves to the signed message
+   */
+  async signMessage(connection, text, options = {}) {
+    if (typeof text !== 'string') {
+      throw new Error("signMessage needs the text to sign");
+    }
+    const message = await connection.sendRequest('api', {
+      method: 'signMessage',
+      params: text
+    }, options);
+
+    return parseResponse('signMessage', message);
+  },
+
+  /**
+   * Requests to verify a signed message in the common beeteos format
+   *
+   * @param {BeetConnection} connection
+   * @param {Object} signedMessage
+   * @param {object} options Request options (timeout, signal), see sendRequest
+   * @returns {Promise} Resolving is done by Beet
+   */
+  async verifyMessage(connection, signedMessage, options = {}) {
+    return connection.sendRequest('api', {
+      method: 'verifyMessage',
+      params: signedMessage
+    }, options);
+  }
+};
+
+/**
+ * Add (or replace) the support of chains. Registered chains can be linked, and connection.chain() returns
+ * their API: the common api methods, the methods of the plugin and inject().
+ *
+ * @param {Object} plugin
+ * @param {String[]} plugin.chains Symbols of the chains, e.g. ["BTS", "BTS_TEST", "TUSC"]
+ * @param {String[]} plugin.requestDetails Details an app may request when linking, defaults to ["account"]
+ * @param {Function} plugin.identity (requested) => fields added to the identity from the details Beet returned when linking
+ * @param {Object} plugin.methods Methods of the chain API, name: (connection, ...args) => result
+ * @param {Array} plugin.injections [{name, matches(pointOfInjection), inject(connection, pointOfInjection, options)}],
+ *                                  inject() uses the first one matching, name adds it to the chain API
+ */
+function registerChain(plugin) {
+  if (!plugin || !Array.isArray(plugin.chains) || !plugin.chains.length) {
+    throw new Error("A chain plugin needs the symbols of its chains");
+  }
+  if (plugin.chains.includes('ANY')) {
+    throw new Error("ANY is not a chain, it lets the user pick one when linking");
+  }
+  for (const injection of plugin.injections || []) {
+    if (typeof injection.matches !== 'function' || typeof injection.inject !== 'function') {
+      throw new Error("A chain plugin injection needs matches() and inject()");
+    }
+  }
+  for (const chain of plugin.chains) {
+    plugins.set(chain, plugin);
+  }
+}
+
+/**
+ * @returns {String[]} Symbols of the registered chains
+ */
+function registeredChains() {
+  return Array.from(plugins.keys());
+}
+
+/**
+ * @param {String} chain
+ * @returns {Object} The plugin of the chain, see registerChain()
+ */
+function getChainPlugin(chain) {
+  const plugin = plugins.get(chain);
+  if (!plugin) {
+    throw new ChainUnsupportedError(chain);
+  }
+  return plugin;
+}
+
+/**
+ * Checks a link request against the plugin of the chain, ANY is checked once Beet picked the chain
+ *
+ * @param {String} chain
+ * @param {String[]} requestDetails
+ */
+function validateLink(chain, requestDetails = []) {
+  if (chain === 'ANY') {
+    return;
+  }
+  const allowed = getChainPlugin(chain).requestDetails || ["account"];
+  for (const detail of requestDetails) {
+    if (!allowed.includes(detail)) {
+      throw new ChainUnsupportedError(chain, `${chain} identities can not request ${detail}, only ${allowed.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Fields of a newly linked identity contributed by the plugin of its chain
+ *
+ * @param {String} chain Chain of the identity
+ * @param {Object} requested Details Beet returned when linking
+ * @returns {Object}
+ */
+function identityFields(chain, requested) {
+  const plugin = plugins.get(chain);
+  return plugin && plugin.identity && requested ? plugin.identity(requested) : {};
+}
+
+/**
+ * API of a chain on a connection, its methods fail with NotLinkedError unless an identity of the plugin's chains
+ * is linked
+ *
+ * @param {BeetConnection} connection
+ * @param {String} chain
+ * @returns {Object}
+ */
+function createChainApi(connection, chain) {
+  const plugin = getChainPlugin(chain);
+  const assertLinked = () => {
+    if (!connection.identity || !plugin.chains.includes(connection.identity.chain)) {
+      throw new NotLinkedError(`Link a ${plugin.chains.join(', ')} identity to use the ${chain} chain API`);
+    }
+  };
+
+  const api = { chain };
+  const methods = Object.assign({}, commonMethods, plugin.methods);
+  for (const [name, method] of Object.entries(methods)) {
+    api[name] = (...args) => {
+      assertLinked();
+      return method(connection, ...args);
+    };
+  }
+
+  const injections = plugin.injections || [];
+  for (const injection of injections.filter((injection) => injection.name)) {
+    api[injection.name] = (pointOfInjection, options) => {
+      assertLinked();
+      return injection.inject(connection, pointOfInjection, options);
+    };
+  }
+  api.inject = (pointOfInjection, options = {sign: true, broadcast: true}) => {
+    assertLinked();
+    const injection = injections.find((injection) => injection.matches(pointOfInjection));
+    if (!injection) {
+      throw new ChainUnsupportedError(chain, `No ${chain} library injection matches the point of injection`);
+    }
+    return injection.inject(connection, pointOfInjection, options);
+  };
+
+  return api;
+}
+
+registerChain(bitsharesPlugin);
+registerChain(eosioPlugin);
+registerChain(steemPlugin);
+registerChain(binancePlugin);
+
+export {
+  registerChain,
+  registeredChains,
+  getChainPlugin,
+  validateLink,
+  identityFields,
+  createChainApi
+};
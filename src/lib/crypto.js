@@ -0,0 +1,309 @@
+import { sha256 as sha256Digest } from "@noble/hashes/sha2.js";
+import { md5 } from "@noble/hashes/legacy.js";
+import { bytesToHex, hexToBytes, utf8ToBytes, concatBytes } from "@noble/hashes/utils.js";
+
+import { DecryptionError } from './errors.js';
+
+/**
+ * Api payload encryption schemes, negotiated through the capabilities Beet advertises
+ */
+const encryptionSchemes = {
+  LEGACY: 'legacy', // OpenSSL compatible AES-256-CBC (crypto-js' passphrase mode) keyed by the HOTP of the request id, no integrity protection
+  AES_GCM: 'aes-256-gcm' // AES-256-GCM keyed by HKDF-SHA256(ECDH secret, request id), authenticated
+};
+
+/**
+ * Pick the strongest scheme Beet supports, older Beet releases only know the legacy scheme
+ *
+ * @param {Object} capabilities
+ * @returns {String}
+ */
+function negotiateEncryption(capabilities) {
+  const supported = capabilities && Array.isArray(capabilities.encryption) ? capabilities.encryption : [];
+  return supported.includes(encryptionSchemes.AES_GCM)
+          ? encryptionSchemes.AES_GCM
+          : encryptionSchemes.LEGACY;
+}
+
+let webCryptoPromise;
+
+/**
+ * WebCrypto in browsers and NodeJS 19+, node:crypto's webcrypto in older NodeJS
+ *
+ * @returns {Promise} Resolves to a Crypto object
+ */
+function getWebCrypto() {
+  if (!webCryptoPromise) {
+    webCryptoPromise = globalThis.crypto && globalThis.crypto.subtle
+                        ? Promise.resolve(globalThis.crypto)
+                        : import(/* webpackIgnore: true */ 'node:crypto').then((crypto) => crypto.webcrypto);
+  }
+  return webCryptoPromise;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Hex encoded SHA-256 of a string, e.g. the app hash or the hash of the next request id
+ *
+ * @param {String} text
+ * @returns {String}
+ */
+function sha256(text) {
+  return bytesToHex(sha256Digest(utf8ToBytes(text)));
+}
+
+const OPENSSL_MAGIC = utf8ToBytes('Salted__');
+
+/**
+ * OpenSSL's EVP_BytesToKey with MD5 and a single iteration, the key derivation of the legacy scheme
+ *
+ * @param {String} passphrase
+ * @param {Uint8Array} salt 8 bytes
+ * @returns {Object} {key, iv} 32 and 16 bytes
+ */
+function evpBytesToKey(passphrase, salt) {
+  const password = utf8ToBytes(passphrase);
+  let derived = new Uint8Array(0);
+  let block = new Uint8Array(0);
+  while (derived.length < 48) {
+    block = md5(concatBytes(block, password, salt));
+    derived = concatBytes(derived, block);
+  }
+  return { key: derived.slice(0, 32), iv: derived.slice(32, 48) };
+}
+
+/**
+ * Encrypt in the format of older Beet releases: base64("Salted__" + salt + AES-256-CBC ciphertext)
+ *
+ * @param {String} plaintext
+ * @param {String} passphrase
+ * @returns {Promise} Resolves to the base64 payload
+ */
+async function legacyEncrypt(plaintext, passphrase) {
+  const webCrypto = await getWebCrypto();
+  const salt = webCrypto.getRandomValues(new Uint8Array(8));
+  const { key, iv } = evpBytesToKey(passphrase, salt);
+  const ciphertext = await webCrypto.subtle.encrypt(
+    { name: 'AES-CBC', iv },
+    await webCrypto.subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt']),
+    utf8ToBytes(plaintext)
+  );
+  return bytesToBase64(concatBytes(OPENSSL_MAGIC, salt, new Uint8Array(ciphertext)));
+}
+
+/**
+ * @param {String} payload base64 payload, see legacyEncrypt
+ * @param {String} passphrase
+ * @returns {Promise} Resolves to the plaintext, rejects on a wrong key or malformed payload
+ */
+async function legacyDecrypt(payload, passphrase) {
+  const bytes = base64ToBytes(payload);
+  if (bytes.length < 32 || OPENSSL_MAGIC.some((byte, index) => bytes[index] !== byte)) {
+    throw new Error('not a salted payload');
+  }
+  const { key, iv } = evpBytesToKey(passphrase, bytes.slice(8, 16));
+  const { subtle } = await getWebCrypto();
+  const plaintext = await subtle.decrypt(
+    { name: 'AES-CBC', iv },
+    await subtle.importKey('raw', key, 'AES-CBC', false, ['decrypt']),
+    bytes.slice(16)
+  );
+  return new TextDecoder('utf-8', { fatal: true }).decode(plaintext);
+}
+
+/**
+ * Derive the AES-256-GCM key of a single request and direction from the ECDH secret shared with Beet
+ *
+ * @param {String} secret Hex encoded ECDH secret
+ * @param {String} id Request id
+ * @param {String} direction 'request' (app to Beet) or 'response' (Beet to app)
+ * @returns {Promise} Resolves to a CryptoKey
+ */
+async function deriveKey(secret, id, direction) {
+  const { subtle } = await getWebCrypto();
+  const encoder = new TextEncoder();
+  const material = await subtle.importKey('raw', hexToBytes(secret), 'HKDF', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode(id), info: encoder.encode(`beeteos ${direction}`) },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt an api payload
+ *
+ * @param {String} scheme See encryptionSchemes
+ * @param {Object} keys {secret, otp} ECDH secret (hex) and HOTP generator of the linked identity
+ * @param {String} id Request id
+ * @param {String} plaintext
+ * @param {String} direction 'request' or 'response'
+ * @returns {Promise} Resolves to the payload to send
+ */
+async function encryptPayload(scheme, keys, id, plaintext, direction = 'request') {
+  if (scheme === encryptionSchemes.LEGACY) {
+    return legacyEncrypt(plaintext, keys.otp.generate({ counter: id }));
+  }
+
+  const webCrypto = await getWebCrypto();
+  const iv = webCrypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await webCrypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(id) },
+    await deriveKey(keys.secret, id, direction),
+    new TextEncoder().encode(plaintext)
+  );
+
+  return {
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(ciphertext)
+  };
+}
+
+/**
+ * Decrypt and authenticate an api payload
+ *
+ * @param {String} scheme See encryptionSchemes
+ * @param {Object} keys {secret, otp} ECDH secret (hex) and HOTP generator of the linked identity
+ * @param {String} id Request id
+ * @param {*} payload
+ * @param {String} direction 'request' or 'response'
+ * @returns {Promise} Resolves to the plaintext, rejects with DecryptionError when tampered with
+ */
+async function decryptPayload(scheme, keys, id, payload, direction = 'response') {
+  if (scheme === encryptionSchemes.LEGACY) {
+    try {
+      return await legacyDecrypt(payload, keys.otp.generate({ counter: id }));
+    } catch (error) {
+      throw new DecryptionError(id, 'wrong key or corrupted payload');
+    }
+  }
+
+  if (!payload || typeof payload.iv !== 'string' || typeof payload.ciphertext !== 'string') {
+    throw new DecryptionError(id, `expected an ${scheme} payload`);
+  }
+
+  const { subtle } = await getWebCrypto();
+  try {
+    const plaintext = await subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(payload.iv), additionalData: new TextEncoder().encode(id) },
+      await deriveKey(keys.secret, id, direction),
+      base64ToBytes(payload.ciphertext)
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch (error) {
+    throw new DecryptionError(id, 'authentication failed');
+  }
+}
+
+/**
+ * PBKDF2 iterations used to derive storage keys from a passphrase
+ */
+const PASSPHRASE_ITERATIONS = 310000;
+
+/**
+ * @param {String} passphrase
+ * @param {Uint8Array} salt
+ * @param {Number} iterations
+ * @returns {Promise} Resolves to an AES-GCM CryptoKey
+ */
+async function passphraseKey(passphrase, salt, iterations) {
+  const { subtle } = await getWebCrypto();
+  const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypts data at rest with a passphrase (PBKDF2-SHA256 and AES-256-GCM).
+ * Derived keys are cached per salt, so repeated writes only pay for the key derivation once.
+ *
+ * @param {String} passphrase
+ * @returns {Object} {encrypt(plaintext), decrypt(encrypted)}, both returning promises
+ */
+function createPassphraseCipher(passphrase) {
+  const keys = new Map();
+  let writeSalt = null;
+
+  const keyFor = (salt, iterations) => {
+    const id = `${bytesToBase64(salt)}:${iterations}`;
+    if (!keys.has(id)) {
+      const key = passphraseKey(passphrase, salt, iterations);
+      key.catch(() => keys.delete(id));
+      keys.set(id, key);
+    }
+    return keys.get(id);
+  };
+
+  return {
+    /**
+     * @param {String} plaintext
+     * @returns {Promise} Resolves to a JSON string holding the kdf parameters, iv and ciphertext
+     */
+    async encrypt(plaintext) {
+      const webCrypto = await getWebCrypto();
+      if (!writeSalt) {
+        writeSalt = webCrypto.getRandomValues(new Uint8Array(16));
+      }
+      const iv = webCrypto.getRandomValues(new Uint8Array(12));
+      const ciphertext = await webCrypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        await keyFor(writeSalt, PASSPHRASE_ITERATIONS),
+        new TextEncoder().encode(plaintext)
+      );
+
+      return JSON.stringify({
+        kdf: 'PBKDF2-SHA256',
+        iterations: PASSPHRASE_ITERATIONS,
+        salt: bytesToBase64(writeSalt),
+        iv: bytesToBase64(iv),
+        ciphertext: bytesToBase64(ciphertext)
+      });
+    },
+
+    /**
+     * @param {String} encrypted
+     * @returns {Promise} Resolves to the plaintext, rejects with DecryptionError on a wrong passphrase or tampered data
+     */
+    async decrypt(encrypted) {
+      const { subtle } = await getWebCrypto();
+      try {
+        const { iterations, salt, iv, ciphertext } = JSON.parse(encrypted);
+        const plaintext = await subtle.decrypt(
+          { name: 'AES-GCM', iv: base64ToBytes(iv) },
+          await keyFor(base64ToBytes(salt), iterations),
+          base64ToBytes(ciphertext)
+        );
+        return new TextDecoder().decode(plaintext);
+      } catch (error) {
+        throw new DecryptionError(null, 'wrong passphrase or corrupted data', 'the stored data');
+      }
+    }
+  };
+}
+
+export {
+  sha256,
+  encryptionSchemes,
+  negotiateEncryption,
+  encryptPayload,
+  decryptPayload,
+  createPassphraseCipher
+};
@@ -0,0 +1,107 @@
+import { resolveEndpoints } from './endpoints.js';
+import { createTransport } from './transports/index.js';
+import { API_VERSION, parseCapabilities, checkCompatibility } from './protocol.js';
+import { RequestTimeoutError } from './errors.js';
+
+/**
+ * Default milliseconds to wait for the pong of a probed endpoint
+ */
+const DISCOVERY_TIMEOUT = 3000;
+
+/**
+ * Ping a single beeteos endpoint. The probe transport is always closed before resolving.
+ *
+ * @param {Object} endpoint From resolveEndpoints()
+ * @param {Number} timeout Milliseconds to wait for the pong
+ * @returns {Promise} Resolves to {endpoint, url, reachable, compatible, latency, tls, version, capabilities, error}, never rejects
+ */
+function probeEndpoint(endpoint, timeout = DISCOVERY_TIMEOUT) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    let socket;
+    let timer;
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      if (socket) {
+        socket.disconnect();
+      }
+      resolve(Object.assign({
+        endpoint: endpoint,
+        url: endpoint.url,
+        reachable: false,
+        compatible: false,
+        latency: null,
+        tls: endpoint.ssl ? false : null, // null: not a TLS endpoint
+        version: null,
+        capabilities: null,
+        error: null
+      }, result));
+    };
+
+    try {
+      socket = createTransport(endpoint, endpoint.ssl ? {transports: ['websocket']} : {});
+    } catch (error) {
+      return finish({ error });
+    }
+
+    timer = setTimeout(() => finish({ error: new RequestTimeoutError('ping', null, timeout) }), timeout);
+
+    socket.on("connect_error", (error) => finish({ error }));
+
+    socket.on("pong", (response) => {
+      const capabilities = parseCapabilities(response);
+      let error = null;
+      try {
+        checkCompatibility(capabilities);
+      } catch (mismatch) {
+        error = mismatch;
+      }
+
+      finish({
+        reachable: true,
+        compatible: !error,
+        latency: Date.now() - started,
+        tls: endpoint.ssl ? true : null,
+        version: capabilities.version,
+        capabilities: capabilities,
+        error: error
+      });
+    });
+
+    socket.send("ping", { apiversion: API_VERSION });
+  });
+}
+
+/**
+ * Probe every configured beeteos endpoint in parallel and pick the one to connect to.
+ *
+ * The best endpoint is the first reachable and compatible endpoint in the configured order,
+ * latency is reported but does not influence the choice so that it is deterministic.
+ *
+ * @param {Object} options Endpoint options, see connect(), plus discoveryTimeout in milliseconds
+ * @returns {Promise} Resolves to {best, results}, best is null when no usable endpoint answered
+ */
+async function discoverBeet(options = {}) {
+  const endpoints = resolveEndpoints(options);
+  const timeout = options.discoveryTimeout || DISCOVERY_TIMEOUT;
+
+  const results = await Promise.all(endpoints.map((endpoint) => probeEndpoint(endpoint, timeout)));
+  const usable = results.find((result) => result.reachable && result.compatible);
+
+  return {
+    best: usable || null,
+    results: results
+  };
+}
+
+export {
+  DISCOVERY_TIMEOUT,
+  probeEndpoint,
+  discoverBeet
+};
@@ -0,0 +1,95 @@
+/**
+ * Default location of the beeteos websocket servers.
+ * The TLS certificate of beeteos is issued for local.get-beet.io, which resolves to 127.0.0.1.
+ */
+const defaultEndpointOptions = {
+  host: 'local.get-beet.io', // Host of the TLS (wss) endpoint
+  httpHost: 'localhost', // Host of the plain (ws) endpoint
+  ports: {
+    https: 60554,
+    http: 60555
+  },
+  protocols: ['https', 'http'], // Order in which the endpoints are tried
+  tls: { rejectUnauthorized: false }, // Extra socket options for the TLS endpoint
+  socketOptions: {}, // Extra socket.io options for every endpoint
+  url: null, // Explicit url(s), e.g. 'ws://localhost:3000' for a mock Beet, replacing host, ports and protocols
+  transport: 'socket.io', // 'socket.io', 'websocket', 'postMessage', a factory function or a MemoryServer
+  transportOptions: {} // Options for the websocket and postMessage transports
+};
+
+/**
+ * Merge the provided endpoint options over the defaults
+ *
+ * @param {Object} options
+ * @returns {Object}
+ */
+function endpointOptions(options = {}) {
+  return Object.assign({}, defaultEndpointOptions, options, {
+    ports: Object.assign({}, defaultEndpointOptions.ports, options.ports),
+    tls: Object.assign({}, defaultEndpointOptions.tls, options.tls),
+    socketOptions: Object.assign({}, defaultEndpointOptions.socketOptions, options.socketOptions)
+  });
+}
+
+/**
+ * @param {Boolean} ssl
+ * @param {String} url
+ * @param {Object} config Merged endpoint options
+ * @returns {Object} {ssl, url, socketOptions, transport, transportOptions}
+ */
+function describeEndpoint(ssl, url, config) {
+  return {
+    ssl: ssl,
+    url: url,
+    socketOptions: ssl
+                    ? Object.assign({ secure: true }, config.tls, config.socketOptions)
+                    : Object.assign({}, config.socketOptions),
+    transport: config.transport,
+    transportOptions: config.transportOptions
+  };
+}
+
+/**
+ * Describe a single beeteos endpoint
+ *
+ * @param {Boolean} ssl Use the TLS endpoint
+ * @param {Number} port Overrides the configured port
+ * @param {Object} options Endpoint options, see defaultEndpointOptions
+ * @returns {Object} {ssl, url, socketOptions, transport, transportOptions}
+ */
+function resolveEndpoint(ssl = true, port = null, options = {}) {
+  const config = endpointOptions(options);
+  const url = ssl
+                ? `wss://${config.host}:${port || config.ports.https}/`
+                : `ws://${config.httpHost}:${port || config.ports.http}`;
+
+  return describeEndpoint(ssl, url, config);
+}
+
+/**
+ * Describe every configured beeteos endpoint in order of preference
+ *
+ * @param {Object} options Endpoint options, see defaultEndpointOptions
+ * @returns {Array} [{ssl, url, socketOptions, transport, transportOptions}]
+ */
+function resolveEndpoints(options = {}) {
+  const config = endpointOptions(options);
+
+  if (config.url) {
+    const urls = Array.isArray(config.url) ? config.url : [config.url];
+    return urls.map((url) => describeEndpoint(/^(wss|https):/.test(url), url, config));
+  }
+
+  return config.protocols.map((protocol) => {
+    if (protocol !== 'https' && protocol !== 'http') {
+      throw new Error(`Unknown beeteos protocol: ${protocol}`);
+    }
+    return resolveEndpoint(protocol === 'https', null, config);
+  });
+}
+
+export {
+  defaultEndpointOptions,
+  resolveEndpoint,
+  resolveEndpoints
+};
@@ -0,0 +1,130 @@
+import { bytesToHex } from "@noble/hashes/utils.js";
+
+import { NotLinkedError, InvalidResponseError, ChainUnsupportedError } from './errors.js';
+import { parseResponse } from './protocol.js';
+
+/**
+ * Chains on which an eosjs Api can be injected
+ */
+const eosioChains = ["EOS", "TLOS", "BEOS"];
+
+/**
+ * Whether a library is an eosjs Api instance
+ *
+ * @param {*} pointOfInjection
+ * @returns {Boolean}
+ */
+function isEosjsApi(pointOfInjection) {
+  return !!pointOfInjection && typeof pointOfInjection.transact === 'function' && !!pointOfInjection.rpc;
+}
+
+/**
+ * transact() of injected Api instances before injection, so injecting again does not wrap it twice
+ */
+const originalTransact = new WeakMap();
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {String|null}
+ */
+function toHex(bytes) {
+  return bytes ? bytesToHex(Uint8Array.from(bytes)) : null;
+}
+
+/**
+ * Enable the user to inject an eosjs Api for EOSIO chain (EOS, Telos, BEOS) interaction, keys stay in Beet.
+ *
+ * eosjs still builds the transaction: it fetches the ABIs and reference block and serializes the actions.
+ * - sign and broadcast: api.transact() sends the transaction to Beet, which signs and broadcasts it in one call
+ *   and resolves to the result of the push. transact(transaction, {broadcast: false}) only signs it.
+ * - sign only: api.signatureProvider asks Beet for the signatures, eosjs broadcasts the transaction
+ *   itself unless transact() is called with {broadcast: false}.
+ *
+ * Beet signs with the keys of the linked account, pass options.publicKeys (or requiredKeys to transact())
+ * to choose them, eosjs can not look them up as the keys are not available to it.
+ *
+ * @param {BeetConnection} connection Linked connection the transactions are signed through
+ * @param {Api} api eosjs Api instance
+ * @param {object} options sign and broadcast flags, publicKeys, plus timeout and signal for the beeteos requests
+ * @returns {Api}
+ */
+function injectEosjs(connection, api, options = {sign: true, broadcast: true}) {
+  if (!connection.identity || !eosioChains.includes(connection.identity.chain)) {
+    throw new NotLinkedError("Link an EOS, TLOS or BEOS identity before injecting eosjs");
+  }
+  if (!options.sign) {
+    throw new ChainUnsupportedError(connection.identity.chain, "Only signing injections are supported, pass options.sign");
+  }
+
+  const requestOptions = { timeout: options.timeout, signal: options.signal };
+  const publicKeys = options.publicKeys || [];
+  if (!originalTransact.has(api)) {
+    originalTransact.set(api, api.transact.bind(api));
+  }
+  const eosjsTransact = originalTransact.get(api);
+
+  api.signatureProvider = {
+    async getAvailableKeys() {
+      return publicKeys;
+    },
+    async sign({ chainId, requiredKeys, serializedTransaction, serializedContextFreeData }) {
+      const args = [
+        "sign",
+        JSON.stringify({
+          chainId: chainId,
+          serializedTransaction: toHex(serializedTransaction),
+          serializedContextFreeData: toHex(serializedContextFreeData)
+        }),
+        requiredKeys
+      ];
+      const result = parseResponse('injectedCall', await connection.injectedCall(args, requestOptions));
+      if (!result || !Array.isArray(result.signatures) || !result.signatures.length) {
+        throw new InvalidResponseError('injectedCall', null, 'expected the signatures of the transaction');
+      }
+      // the transaction eosjs serialized is the one broadcast, whatever Beet returns besides the signatures
+      return { signatures: result.signatures, serializedTransaction, serializedContextFreeData };
+    }
+  };
+
+  api.transact = async function transact(transaction, transactOptions = {}) {
+    const signOptions = Object.assign({ requiredKeys: publicKeys }, transactOptions);
+    if (!options.broadcast || transactOptions.broadcast === false) {
+      return eosjsTransact(transaction, signOptions);
+    }
+
+    const prepared = await eosjsTransact(transaction, Object.assign({}, signOptions, { sign: false, broadcast: false }));
+    const args = [
+      "signAndBroadcast",
+      JSON.stringify({
+        chainId: api.chainId,
+        transaction: transaction, // for Beet to show the actions, it signs the serialized transaction
+        serializedTransaction: toHex(prepared.serializedTransaction),
+        serializedContextFreeData: toHex(prepared.serializedContextFreeData)
+      }),
+      signOptions.requiredKeys
+    ];
+    return parseResponse('injectedCall', await connection.injectedCall(args, requestOptions));
+  };
+
+  return api;
+}
+
+/**
+ * Chain plugin of EOS, Telos and BEOS, see registerChain()
+ */
+const eosioPlugin = {
+  chains: eosioChains,
+  requestDetails: ["account"],
+  identity: (requested) => ({ account: requested.account }),
+  methods: {},
+  injections: [
+    { name: 'injectEosjs', matches: isEosjsApi, inject: injectEosjs }
+  ]
+};
+
+export {
+  eosioPlugin,
+  eosioChains,
+  isEosjsApi,
+  injectEosjs
+};
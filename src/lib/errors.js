@@ -0,0 +1,247 @@
+/**
+ * Base class for every error raised by beeteos-js
+ */
+class BeetError extends Error {
+
+    /**
+     * @param {String} message
+     * @param {String} code Stable, machine readable error code
+     * @param {Object} details Extra context about the failure
+     */
+    constructor(message, code, details = {}) {
+      super(message);
+      this.name = this.constructor.name;
+      this.code = code;
+      this.details = details;
+    }
+}
+
+/**
+ * Beet is not running, or none of the configured endpoints could be reached
+ */
+class BeetOfflineError extends BeetError {
+    constructor(reason = null, details = {}) {
+      super(`Beeteos is offline, launch it then try again${reason ? ` (${reason})` : ''}`, 'OFFLINE', Object.assign({ reason }, details));
+    }
+}
+
+/**
+ * The request needs an open connection to Beet, see connect()
+ */
+class NotConnectedError extends BeetError {
+    constructor(message = "You must connect to beeteos first") {
+      super(message, 'NOT_CONNECTED');
+    }
+}
+
+/**
+ * The request needs a linked identity, see link()
+ */
+class NotLinkedError extends BeetError {
+    constructor(message = "You must be connected, authorised and linked") {
+      super(message, 'NOT_LINKED');
+    }
+}
+
+/**
+ * The user rejected the request in Beet
+ */
+class UserRejectedError extends BeetError {
+    constructor(type, id, message = null) {
+      super(`The user rejected the ${type} request${message ? `: ${message}` : ''}`, 'USER_REJECTED', { type, id, message });
+    }
+}
+
+/**
+ * Beet answered a request with an error this client has no dedicated class for
+ */
+class BeetRequestError extends BeetError {
+    constructor(type, id, beetCode, message = null) {
+      super(`Beet failed the ${type} request${message ? `: ${message}` : ''}`, 'REQUEST_FAILED', { type, id, beetCode, message });
+    }
+}
+
+/**
+ * Beet answered a request with a response which could not be read
+ */
+class InvalidResponseError extends BeetError {
+    constructor(type, id, reason) {
+      super(`Could not read the response to the ${type} request: ${reason}`, 'INVALID_RESPONSE', { type, id, reason });
+    }
+}
+
+/**
+ * A request to Beet did not receive a response in time
+ */
+class RequestTimeoutError extends BeetError {
+    constructor(type, id, timeout) {
+      super(`Beet did not respond to the ${type} request within ${timeout}ms`, 'TIMEOUT', { type, id, timeout });
+    }
+}
+
+/**
+ * A request to Beet was cancelled by the app before Beet responded
+ */
+class RequestCancelledError extends BeetError {
+    constructor(type, id, reason) {
+      super(`The ${type} request was cancelled`, 'CANCELLED', { type, id, reason });
+    }
+}
+
+/**
+ * The connection to Beet dropped before a request was answered
+ */
+class ConnectionLostError extends BeetError {
+    constructor(reason, type = null, id = null) {
+      super(`The connection to Beet was lost (${reason})`, 'CONNECTION_LOST', { reason, type, id });
+    }
+}
+
+/**
+ * Beet speaks an api version this client does not support
+ */
+class ProtocolMismatchError extends BeetError {
+    constructor(message, beetApiVersion) {
+      super(message, 'PROTOCOL_MISMATCH', { beetApiVersion });
+    }
+}
+
+/**
+ * Beet does not support the requested api method
+ */
+class UnsupportedMethodError extends BeetError {
+    constructor(method) {
+      super(`Beet does not support the ${method} method`, 'UNSUPPORTED_METHOD', { method });
+    }
+}
+
+/**
+ * Beet, or this client, does not support the requested chain, or what was requested of it
+ */
+class ChainUnsupportedError extends BeetError {
+    constructor(chain, message = `The ${chain} chain is not supported`) {
+      super(message, 'CHAIN_UNSUPPORTED', { chain });
+    }
+}
+
+/**
+ * Beet and this client disagree on the next request id of the linked identity, see BeetConnection.resync()
+ */
+class IdChainMismatchError extends BeetError {
+    constructor(message = "Beet rejected the request id") {
+      super(`${message}, the request id chain is out of sync with Beet`, 'ID_MISMATCH');
+    }
+}
+
+/**
+ * An api response from Beet (or encrypted storage) could not be decrypted and authenticated, or was not encrypted at all
+ */
+class DecryptionError extends BeetError {
+    constructor(id, reason, subject = `the response to request ${id}`) {
+      super(`Could not decrypt ${subject}: ${reason}`, 'DECRYPTION_FAILED', { id, reason });
+    }
+}
+
+/**
+ * Beet presented a different public key than the one recorded when the identity was linked,
+ * see BeetConnection.trustBeetKey()
+ */
+class BeetIdentityChangedError extends BeetError {
+    constructor(expected, received) {
+      super("Beet identity changed: its public key differs from the one trusted when linking", 'BEET_IDENTITY_CHANGED', { expected, received });
+    }
+}
+
+/**
+ * The linked identity was revoked, by the app (see BeetConnection.unlink()) or by Beet, and the app has to link again
+ */
+class IdentityRevokedError extends BeetError {
+    constructor(identityhash, initiator, reason = null) {
+      super(`The identity was revoked by ${initiator === 'beet' ? 'Beet' : 'the app'}${reason ? ` (${reason})` : ''}`, 'IDENTITY_REVOKED', { identityhash, initiator, reason });
+    }
+}
+
+/**
+ * The transaction Beet signed is not the one built by the app, or is not signed by the expected keys
+ */
+class TransactionMismatchError extends BeetError {
+    constructor(reason, details = {}) {
+      super(`Beet did not sign the transaction as requested: ${reason}`, 'TRANSACTION_MISMATCH', Object.assign({ reason }, details));
+    }
+}
+
+const errorClasses = {
+  BeetError,
+  BeetOfflineError,
+  NotConnectedError,
+  NotLinkedError,
+  UserRejectedError,
+  BeetRequestError,
+  InvalidResponseError,
+  RequestTimeoutError,
+  RequestCancelledError,
+  ConnectionLostError,
+  ProtocolMismatchError,
+  UnsupportedMethodError,
+  ChainUnsupportedError,
+  IdChainMismatchError,
+  DecryptionError,
+  BeetIdentityChangedError,
+  IdentityRevokedError,
+  TransactionMismatchError
+};
+
+/**
+ * Plain copy of an error which survives structured cloning, e.g. when passed to another browser tab
+ *
+ * @param {Error} error
+ * @returns {Object} {name, message, code, details, stack}
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { name: 'Error', message: String(error), code: null, details: {}, stack: null };
+  }
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code || null,
+    details: error.details ? JSON.parse(JSON.stringify(error.details)) : {},
+    stack: error.stack || null
+  };
+}
+
+/**
+ * Rebuild an error passed through serializeError(), as an instance of the matching BeetError class
+ *
+ * @param {Object} data
+ * @returns {Error}
+ */
+function deserializeError(data) {
+  const ErrorClass = errorClasses[data.name] || (data.code ? BeetError : Error);
+  const error = Object.create(ErrorClass.prototype);
+  Object.assign(error, data);
+  return error;
+}
+
+export {
+    serializeError,
+    deserializeError,
+    BeetError,
+    BeetOfflineError,
+    NotConnectedError,
+    NotLinkedError,
+    UserRejectedError,
+    BeetRequestError,
+    InvalidResponseError,
+    RequestTimeoutError,
+    RequestCancelledError,
+    ConnectionLostError,
+    ProtocolMismatchError,
+    UnsupportedMethodError,
+    ChainUnsupportedError,
+    IdChainMismatchError,
+    DecryptionError,
+    BeetIdentityChangedError,
+    IdentityRevokedError,
+    TransactionMismatchError
+};
@@ -0,0 +1,49 @@
+import IdentityStore from './IdentityStore.js';
+
+/**
+ * Keeps identities in a JSON file, NodeJS only.
+ * The file is only readable by its owner and replaced atomically on every write.
+ */
+class FileIdentityStore extends IdentityStore {
+
+    /**
+     * @param {Object} options
+     * @param {String} options.path Location of the file, its directory is created if needed
+     * @param {String} options.passphrase See IdentityStore
+     */
+    constructor(options = {}) {
+      super(options);
+      if (!options.path) {
+        throw new Error("FileIdentityStore requires a path");
+      }
+      this.path = options.path;
+    }
+
+    fs() {
+      return import(/* webpackIgnore: true */ 'node:fs/promises');
+    }
+
+    async readRaw() {
+      const fs = await this.fs();
+      try {
+        return await fs.readFile(this.path, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    }
+
+    async writeRaw(raw) {
+      const fs = await this.fs();
+      const { dirname } = await import(/* webpackIgnore: true */ 'node:path');
+      await fs.mkdir(dirname(this.path), { recursive: true });
+
+      const temporary = `${this.path}.${Date.now()}.tmp`;
+      await fs.writeFile(temporary, raw, { mode: 0o600 });
+      await fs.rename(temporary, this.path);
+    }
+}
+
+export default FileIdentityStore;
@@ -0,0 +1,144 @@
+import { createPassphraseCipher } from '../crypto.js';
+
+/**
+ * Persistence for linked identities, keyed by app hash and chain.
+ *
+ * Identities hold the ECDH secret shared with Beet, pass a passphrase to encrypt them at rest.
+ * Backends only implement readRaw() and writeRaw(), which load and store a single string.
+ */
+class IdentityStore {
+
+    /**
+     * @param {Object} options
+     * @param {String} options.passphrase Encrypt the stored identities with this passphrase
+     */
+    constructor(options = {}) {
+      this.cipher = options.passphrase ? createPassphraseCipher(options.passphrase) : null;
+      this.pending = Promise.resolve(); // Serializes read-modify-write cycles
+    }
+
+    /**
+     * @returns {Promise} Resolves to the stored string, or null when nothing was stored yet
+     */
+    async readRaw() {
+      throw new Error(`${this.constructor.name} does not implement readRaw()`);
+    }
+
+    /**
+     * @param {String} raw
+     * @returns {Promise}
+     */
+    async writeRaw(raw) {
+      throw new Error(`${this.constructor.name} does not implement writeRaw()`);
+    }
+
+    /**
+     * @param {String} apphash
+     * @param {String} chain
+     * @returns {String}
+     */
+    static key(apphash, chain) {
+      return `${apphash}:${chain}`;
+    }
+
+    /**
+     * @returns {Promise} Resolves to every stored identity, keyed by IdentityStore.key()
+     */
+    async load() {
+      const raw = await this.readRaw();
+      if (!raw) {
+        return {};
+      }
+      return JSON.parse(this.cipher ? await this.cipher.decrypt(raw) : raw);
+    }
+
+    /**
+     * @param {Object} identities
+     * @returns {Promise}
+     */
+    async save(identities) {
+      const raw = JSON.stringify(identities);
+      await this.writeRaw(this.cipher ? await this.cipher.encrypt(raw) : raw);
+    }
+
+    /**
+     * Run a read-modify-write cycle after the ones queued before it
+     *
+     * @param {Function} update Receives the stored identities, may modify them in place
+     * @returns {Promise}
+     */
+    transaction(update) {
+      const result = this.pending.then(async () => {
+        const identities = await this.load();
+        const value = update(identities);
+        await this.save(identities);
+        return value;
+      });
+      this.pending = result.catch(() => {});
+      return result;
+    }
+
+    /**
+     * @param {String} apphash
+     * @param {String} chain Omit to get the identity of any chain
+     * @returns {Promise} Resolves to the identity or null
+     */
+    async get(apphash, chain = null) {
+      await this.pending;
+      const identities = await this.load();
+      if (chain) {
+        return identities[IdentityStore.key(apphash, chain)] || null;
+      }
+      return Object.values(identities).find((identity) => identity.apphash === apphash) || null;
+    }
+
+    /**
+     * @returns {Promise} Resolves to every stored identity
+     */
+    async list() {
+      await this.pending;
+      return Object.values(await this.load());
+    }
+
+    /**
+     * Store or replace an identity
+     *
+     * @param {Object} identity Needs apphash and chain
+     * @returns {Promise}
+     */
+    async set(identity) {
+      if (!identity || !identity.apphash || !identity.chain) {
+        throw new Error("An identity needs an apphash and a chain to be stored");
+      }
+      const copy = JSON.parse(JSON.stringify(identity));
+      return this.transaction((identities) => {
+        identities[IdentityStore.key(identity.apphash, identity.chain)] = copy;
+      });
+    }
+
+    /**
+     * @param {String} apphash
+     * @param {String} chain
+     * @returns {Promise}
+     */
+    async remove(apphash, chain) {
+      return this.transaction((identities) => {
+        delete identities[IdentityStore.key(apphash, chain)];
+      });
+    }
+
+    /**
+     * Remove every stored identity
+     *
+     * @returns {Promise}
+     */
+    async clear() {
+      return this.transaction((identities) => {
+        for (const key of Object.keys(identities)) {
+          delete identities[key];
+        }
+      });
+    }
+}
+
+export default IdentityStore;
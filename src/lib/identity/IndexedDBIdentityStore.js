@@ -0,0 +1,65 @@
+import IdentityStore from './IdentityStore.js';
+
+/**
+ * Keeps identities in an IndexedDB object store, available to web workers as well
+ */
+class IndexedDBIdentityStore extends IdentityStore {
+
+    /**
+     * @param {Object} options
+     * @param {String} options.database Defaults to 'beeteos'
+     * @param {String} options.objectStore Defaults to 'identities'
+     * @param {IDBFactory} options.indexedDB Defaults to the global indexedDB
+     * @param {String} options.passphrase See IdentityStore
+     */
+    constructor(options = {}) {
+      super(options);
+      this.database = options.database || 'beeteos';
+      this.objectStore = options.objectStore || 'identities';
+      this.indexedDB = options.indexedDB || globalThis.indexedDB;
+      if (!this.indexedDB) {
+        throw new Error("IndexedDB is not available");
+      }
+      this.db = null;
+    }
+
+    /**
+     * @returns {Promise} Resolves to the opened IDBDatabase
+     */
+    open() {
+      if (!this.db) {
+        this.db = new Promise((resolve, reject) => {
+          const request = this.indexedDB.open(this.database, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore(this.objectStore);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return this.db;
+    }
+
+    /**
+     * @param {String} mode
+     * @param {Function} operation Receives the object store and returns an IDBRequest
+     * @returns {Promise} Resolves to the result of the request
+     */
+    async run(mode, operation) {
+      const db = await this.open();
+      return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(this.objectStore, mode).objectStore(this.objectStore));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    async readRaw() {
+      const raw = await this.run('readonly', (store) => store.get('identities'));
+      return raw === undefined ? null : raw;
+    }
+
+    async writeRaw(raw) {
+      await this.run('readwrite', (store) => store.put(raw, 'identities'));
+    }
+}
+
+export default IndexedDBIdentityStore;
@@ -0,0 +1,32 @@
+import IdentityStore from './IdentityStore.js';
+
+/**
+ * Keeps identities in the browser's localStorage
+ */
+class LocalStorageIdentityStore extends IdentityStore {
+
+    /**
+     * @param {Object} options
+     * @param {String} options.key localStorage key, defaults to 'beeteos-identities'
+     * @param {Storage} options.storage Defaults to window.localStorage
+     * @param {String} options.passphrase See IdentityStore
+     */
+    constructor(options = {}) {
+      super(options);
+      this.key = options.key || 'beeteos-identities';
+      this.storage = options.storage || globalThis.localStorage;
+      if (!this.storage) {
+        throw new Error("localStorage is not available");
+      }
+    }
+
+    async readRaw() {
+      return this.storage.getItem(this.key);
+    }
+
+    async writeRaw(raw) {
+      this.storage.setItem(this.key, raw);
+    }
+}
+
+export default LocalStorageIdentityStore;
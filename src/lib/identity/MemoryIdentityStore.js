@@ -0,0 +1,22 @@
+import IdentityStore from './IdentityStore.js';
+
+/**
+ * Keeps identities for the lifetime of the process only
+ */
+class MemoryIdentityStore extends IdentityStore {
+
+    constructor(options = {}) {
+      super(options);
+      this.raw = null;
+    }
+
+    async readRaw() {
+      return this.raw;
+    }
+
+    async writeRaw(raw) {
+      this.raw = raw;
+    }
+}
+
+export default MemoryIdentityStore;
@@ -0,0 +1,13 @@
+import IdentityStore from './IdentityStore.js';
+import MemoryIdentityStore from './MemoryIdentityStore.js';
+import LocalStorageIdentityStore from './LocalStorageIdentityStore.js';
+import IndexedDBIdentityStore from './IndexedDBIdentityStore.js';
+import FileIdentityStore from './FileIdentityStore.js';
+
+export {
+  IdentityStore,
+  MemoryIdentityStore,
+  LocalStorageIdentityStore,
+  IndexedDBIdentityStore,
+  FileIdentityStore
+};
@@ -0,0 +1,106 @@
+/**
+ * Log levels in increasing order of severity, 'silent' disables logging
+ */
+const logLevels = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Context keys whose values are never logged: key material, and payloads which may hold user data
+ */
+const redactedKeys = [
+  'secret',
+  'otp',
+  'privk',
+  'privateKey',
+  'passphrase',
+  'payload',
+  'params',
+  'original',
+  'requested',
+  'ciphertext',
+  'iv',
+  'next_id',
+  'next_hash',
+  'authToken'
+];
+
+const REDACTED = '[redacted]';
+
+/**
+ * Copy a log context, replacing redacted values and reducing errors to their name, code and message
+ *
+ * @param {*} value
+ * @param {Number} depth
+ * @returns {*}
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, code: value.code, message: value.message };
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth > 4) {
+    return '[nested]';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const key of Object.keys(value)) {
+    copy[key] = redactedKeys.includes(key) && value[key] !== undefined && value[key] !== null
+                  ? REDACTED
+                  : redact(value[key], depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * Creates the logger used throughout beeteos-js.
+ *
+ * Every call produces a record {level, message, time, ...context}, e.g. with the id and type of a request,
+ * with payloads and secrets redacted. Records are passed to the sink:
+ *   - a function, called with the record
+ *   - a console compatible object, its debug/info/warn/error method is called with the message and the record
+ *
+ * @param {Function|Object} sink Receives the records, nothing is logged without one
+ * @param {String} level Minimum level to log, see logLevels (defaults to 'info')
+ * @returns {Object} {debug, info, warn, error, level}, each taking a message and a context object
+ */
+function createLogger(sink = null, level = 'info') {
+  if (!logLevels.includes(level)) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+
+  const threshold = sink ? logLevels.indexOf(level) : logLevels.indexOf('silent');
+  const logger = { level: sink ? level : 'silent' };
+
+  for (const recordLevel of logLevels.slice(0, -1)) {
+    logger[recordLevel] = (message, context = {}) => {
+      if (logLevels.indexOf(recordLevel) < threshold) {
+        return;
+      }
+
+      const record = Object.assign({ level: recordLevel, message: message, time: new Date().toISOString() }, redact(context));
+      try {
+        if (typeof sink === 'function') {
+          sink(record);
+        } else if (typeof sink[recordLevel] === 'function') {
+          sink[recordLevel](message, record);
+        } else if (typeof sink.log === 'function') {
+          sink.log(message, record);
+        }
+      } catch (error) {
+        // a failing sink must not break the connection
+      }
+    };
+  }
+
+  return logger;
+}
+
+export {
+  logLevels,
+  redact,
+  createLogger
+};
@@ -0,0 +1,138 @@
+import {
+  ProtocolMismatchError,
+  UserRejectedError,
+  BeetRequestError,
+  IdChainMismatchError,
+  IdentityRevokedError,
+  InvalidResponseError
+} from './errors.js';
+
+/**
+ * Version of the Beet api spoken by this client
+ */
+const API_VERSION = 3;
+
+/**
+ * Range of Beet api versions this client works with
+ */
+const supportedApiVersions = {
+  min: 3,
+  max: 3
+};
+
+/**
+ * Error codes Beet reports in the payload of a failed request
+ */
+const beetErrorCodes = {
+  USER_REJECTED: 1, // The user rejected the prompt
+  IDENTITY_REVOKED: 2, // Beet no longer knows the identity, e.g. the user removed the app in Beet
+  ID_MISMATCH: 3 // The request id does not hash to the next_hash Beet expects for the identity
+};
+
+/**
+ * Translate the error payload of a failed Beet request into a BeetError
+ *
+ * @param {String} type Type of the failed request
+ * @param {String} id Id of the failed request
+ * @param {Object} payload {code, message} reported by Beet
+ * @param {String} identityhash Identity the request was made for, see IdentityRevokedError
+ * @returns {BeetError}
+ */
+function errorFromBeet(type, id, payload, identityhash = null) {
+  const { code = null, message = null } = payload && typeof payload === 'object' ? payload : { message: payload };
+
+  switch (code) {
+    case beetErrorCodes.USER_REJECTED:
+      return new UserRejectedError(type, id, message);
+    case beetErrorCodes.IDENTITY_REVOKED:
+      return new IdentityRevokedError(identityhash, 'beet', message);
+    case beetErrorCodes.ID_MISMATCH:
+      return new IdChainMismatchError(message || undefined);
+    default:
+      return new BeetRequestError(type, id, code, message);
+  }
+}
+
+/**
+ * Read the capabilities advertised by Beet in its pong or authenticated payload.
+ * Older Beet releases advertise nothing, their capabilities are unknown (null) and marked legacy.
+ *
+ * @param {*} response
+ * @param {Object} known Capabilities learnt earlier, e.g. from the pong of the same endpoint
+ * @returns {Object} {apiversion, version, chains, methods, encryption, legacy}
+ */
+function parseCapabilities(response, known = null) {
+  const capabilities = known
+                        ? Object.assign({}, known)
+                        : { apiversion: null, version: null, chains: null, methods: null, encryption: null, legacy: true };
+
+  if (!response || typeof response !== 'object') {
+    return capabilities;
+  }
+
+  const advertised = response.capabilities && typeof response.capabilities === 'object'
+                      ? Object.assign({}, response, response.capabilities)
+                      : response;
+
+  for (const key of ['apiversion', 'version', 'chains', 'methods', 'encryption']) {
+    if (advertised[key] !== undefined && advertised[key] !== null) {
+      capabilities[key] = advertised[key];
+      capabilities.legacy = false;
+    }
+  }
+
+  return capabilities;
+}
+
+/**
+ * Fail early when Beet speaks an api version this client does not support
+ *
+ * @param {Object} capabilities
+ * @throws {ProtocolMismatchError}
+ */
+function checkCompatibility(capabilities) {
+  const beetVersion = capabilities.apiversion;
+  if (beetVersion === null || beetVersion === undefined) {
+    return; // legacy Beet, nothing to compare
+  }
+
+  if (beetVersion < supportedApiVersions.min) {
+    throw new ProtocolMismatchError(
+      `Beet is too old: it speaks api version ${beetVersion} but beeteos-js requires ${supportedApiVersions.min} or newer, please update Beet`,
+      beetVersion
+    );
+  }
+
+  if (beetVersion > supportedApiVersions.max) {
+    throw new ProtocolMismatchError(
+      `Beet is too new: it speaks api version ${beetVersion} but beeteos-js supports up to ${supportedApiVersions.max}, please update beeteos-js`,
+      beetVersion
+    );
+  }
+}
+
+/**
+ * Parses the JSON response of an api method
+ *
+ * @param {String} method
+ * @param {String} response Decrypted response
+ * @returns {Object}
+ * @throws {InvalidResponseError}
+ */
+function parseResponse(method, response) {
+  try {
+    return JSON.parse(response);
+  } catch (error) {
+    throw new InvalidResponseError(method, null, error.message);
+  }
+}
+
+export {
+  API_VERSION,
+  supportedApiVersions,
+  beetErrorCodes,
+  errorFromBeet,
+  parseCapabilities,
+  checkCompatibility,
+  parseResponse
+};
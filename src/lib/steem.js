@@ -0,0 +1,101 @@
+import { NotLinkedError, InvalidResponseError, ChainUnsupportedError } from './errors.js';
+import { parseResponse } from './protocol.js';
+
+/**
+ * Chains on which the steem-js library can be injected
+ */
+const steemChains = ["STEEM"];
+
+/**
+ * Whether a library is steem-js
+ *
+ * @param {*} pointOfInjection
+ * @returns {Boolean}
+ */
+function isSteemLib(pointOfInjection) {
+  return !!pointOfInjection && !!pointOfInjection.broadcast && typeof pointOfInjection.broadcast.send === 'function';
+}
+
+/**
+ * Enable the user to inject the steem-js library, its broadcast operations are signed by Beet.
+ *
+ * Every operation of steem.broadcast (vote, transfer, comment, ... and their Async variants) goes through
+ * broadcast.send(), which is replaced: the transaction is prepared with the reference block as usual, then
+ * - sign and broadcast: Beet signs and broadcasts it, send() resolves to the result of the broadcast
+ * - sign only: Beet signs it, send() resolves to the signed transaction for steem.api.broadcastTransaction()
+ *
+ * Pass "inject_wif" instead of a private key to the operations, keys stay in Beet.
+ *
+ * @param {BeetConnection} connection Linked connection the transactions are signed through
+ * @param {Module} steem steem-js
+ * @param {object} options sign and broadcast flags, plus timeout and signal for the beeteos requests
+ * @returns {Module}
+ */
+function injectSteemLib(connection, steem, options = {sign: true, broadcast: true}) {
+  if (!connection.identity || !steemChains.includes(connection.identity.chain)) {
+    throw new NotLinkedError("Link a Steem identity before injecting steem-js");
+  }
+  if (!options.sign) {
+    throw new ChainUnsupportedError(connection.identity.chain, "Only signing injections are supported, pass options.sign");
+  }
+
+  const requestOptions = { timeout: options.timeout, signal: options.signal };
+  const broadcast = steem.broadcast;
+  const prepare = typeof broadcast._prepareTransaction === 'function'
+                    ? broadcast._prepareTransaction.bind(broadcast)
+                    : async (tx) => tx;
+
+  const sendToBeet = async (tx, privKeys = {}) => {
+    for (const wif of Object.values(privKeys)) {
+      if (wif !== "inject_wif") {
+        throw new Error("Do not inject wif while using Beet");
+      }
+    }
+
+    const transaction = await prepare(tx);
+    const roles = Object.keys(privKeys); // e.g. posting or active, the authority Beet signs with
+    const result = parseResponse('injectedCall', await connection.injectedCall(
+      [options.broadcast ? "signAndBroadcast" : "sign", JSON.stringify(transaction), roles],
+      requestOptions
+    ));
+    if (options.broadcast) {
+      return result;
+    }
+
+    if (!result || !Array.isArray(result.signatures) || !result.signatures.length) {
+      throw new InvalidResponseError('injectedCall', null, 'expected the signatures of the transaction');
+    }
+    // the transaction prepared here is the one returned, whatever Beet returns besides the signatures
+    return Object.assign({}, transaction, { signatures: result.signatures });
+  };
+
+  broadcast.send = function send(tx, privKeys, callback) {
+    const result = sendToBeet(tx, privKeys);
+    if (typeof callback !== 'function') {
+      return result;
+    }
+    result.then((value) => callback(null, value), (error) => callback(error));
+  };
+
+  return steem;
+}
+
+/**
+ * Chain plugin of Steem, see registerChain()
+ */
+const steemPlugin = {
+  chains: steemChains,
+  requestDetails: ["account"],
+  identity: (requested) => ({ account: requested.account }),
+  methods: {},
+  injections: [
+    { name: 'injectSteemLib', matches: isSteemLib, inject: injectSteemLib }
+  ]
+};
+
+export {
+  steemPlugin,
+  steemChains,
+  isSteemLib,
+  injectSteemLib
+};
@@ -0,0 +1,82 @@
+import EventEmitter from '../EventEmitter.js';
+import Transport, { CLIENT_DISCONNECT } from './Transport.js';
+
+/**
+ * One end of an in-process transport pair, messages are delivered asynchronously to its peer
+ */
+class MemoryTransport extends Transport {
+
+    constructor() {
+      super();
+      this.peer = null;
+    }
+
+    write(event, data) {
+      const peer = this.peer;
+      if (!peer) {
+        return;
+      }
+      const copy = data === undefined ? undefined : JSON.parse(JSON.stringify(data)); // behave like a wire
+      setTimeout(() => peer.emit(event, copy), 0);
+    }
+
+    disconnect() {
+      const peer = this.peer;
+      this.closed(CLIENT_DISCONNECT);
+      if (peer) {
+        setTimeout(() => peer.closed('transport close'), 0);
+      }
+    }
+}
+
+/**
+ * In-process stand-in for a Beet server, for tests.
+ *
+ * Every transport created connects a fresh MemoryTransport pair and emits 'connection' with the server end:
+ *
+ *   const server = new MemoryServer();
+ *   server.on('connection', (socket) => socket.on('ping', () => socket.send('pong', 'pong')));
+ *   await connect(appName, browser, origin, null, null, { transport: server });
+ */
+class MemoryServer extends EventEmitter {
+
+    constructor() {
+      super();
+      this.sockets = [];
+    }
+
+    /**
+     * @returns {MemoryTransport} The client end of a new connection
+     */
+    createTransport() {
+      const client = new MemoryTransport();
+      const server = new MemoryTransport();
+      client.peer = server;
+      server.peer = client;
+      this.sockets.push(server);
+      server.on('disconnect', () => {
+        this.sockets = this.sockets.filter((socket) => socket !== server);
+      });
+
+      setTimeout(() => {
+        server.opened();
+        this.emit('connection', server);
+        client.opened();
+      }, 0);
+      return client;
+    }
+
+    /**
+     * Disconnect every client
+     */
+    close() {
+      for (const socket of [...this.sockets]) {
+        socket.disconnect();
+      }
+    }
+}
+
+export {
+    MemoryTransport,
+    MemoryServer
+};
@@ -0,0 +1,54 @@
+import Transport, { CLIENT_DISCONNECT } from './Transport.js';
+
+/**
+ * window.postMessage transport, for a Beet browser extension content script or an Electron preload bridge.
+ *
+ * Messages are posted as {channel, event, data}; the other side answers on the same channel.
+ */
+class PostMessageTransport extends Transport {
+
+    /**
+     * @param {Object} endpoint Unused, there is no url to connect to
+     * @param {Object} options
+     * @param {Window} options.target Window to post to, defaults to the current window
+     * @param {Window} options.source Window to listen on, defaults to the current window
+     * @param {String} options.origin Target origin, and the only origin accepted for incoming messages
+     * @param {String} options.channel Tag identifying beeteos messages, defaults to 'beeteos'
+     */
+    constructor(endpoint, options = {}) {
+      super();
+      const win = typeof window !== 'undefined' ? window : null;
+      this.target = options.target || win;
+      this.source = options.source || win;
+      this.origin = options.origin || (win ? win.location.origin : '*');
+      this.channel = options.channel || 'beeteos';
+      if (!this.target || !this.source) {
+        throw new Error("PostMessageTransport requires a window");
+      }
+
+      this.onMessage = (message) => {
+        if (this.origin !== '*' && message.origin !== this.origin) {
+          return;
+        }
+        const { channel, event, data, direction } = message.data || {};
+        if (channel !== this.channel || direction !== 'toClient') {
+          return; // not for us, or our own message echoed on the same window
+        }
+        this.emit(event, data);
+      };
+      this.source.addEventListener('message', this.onMessage);
+
+      setTimeout(() => this.opened(), 0); // postMessage needs no handshake
+    }
+
+    write(event, data) {
+      this.target.postMessage({ channel: this.channel, direction: 'toBeet', event, data }, this.origin);
+    }
+
+    disconnect() {
+      this.source.removeEventListener('message', this.onMessage);
+      this.closed(CLIENT_DISCONNECT);
+    }
+}
+
+export default PostMessageTransport;
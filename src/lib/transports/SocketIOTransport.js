@@ -0,0 +1,37 @@
+import { io } from "socket.io-client";
+
+import Transport from './Transport.js';
+
+/**
+ * Default transport, the socket.io server built into Beet
+ */
+class SocketIOTransport extends Transport {
+
+    /**
+     * @param {Object} endpoint {url, socketOptions}
+     * @param {Object} socketOptions Extra socket.io options
+     */
+    constructor(endpoint, socketOptions = {}) {
+      super();
+      this.socket = io(endpoint.url, Object.assign({}, endpoint.socketOptions, socketOptions));
+
+      this.socket.on("connect", () => this.opened());
+      this.socket.on("disconnect", (reason) => this.closed(reason));
+      this.socket.on("connect_error", (error) => this.emit('connect_error', error));
+      this.socket.onAny((event, data) => this.emit(event, data));
+    }
+
+    send(event, data) {
+      this.socket.emit(event, data); // socket.io buffers by itself
+    }
+
+    write(event, data) {
+      this.socket.emit(event, data);
+    }
+
+    disconnect() {
+      this.socket.disconnect();
+    }
+}
+
+export default SocketIOTransport;
@@ -0,0 +1,82 @@
+import EventEmitter from '../EventEmitter.js';
+
+/**
+ * Reason reported with 'disconnect' when the app closed the transport itself
+ */
+const CLIENT_DISCONNECT = 'io client disconnect';
+
+/**
+ * Message channel between beeteos-js and Beet.
+ *
+ * Implementations emit 'connect', 'disconnect' (with a reason) and 'connect_error' (with an error)
+ * for their lifecycle and emit every message received from Beet under its event name.
+ */
+class Transport extends EventEmitter {
+
+    constructor() {
+      super();
+      this.connected = false;
+      this.buffer = []; // Messages sent before the transport connected
+    }
+
+    /**
+     * Send a message to Beet, buffering it until the transport is connected
+     *
+     * @param {String} event
+     * @param {Object} data
+     */
+    send(event, data) {
+      if (!this.connected) {
+        this.buffer.push([event, data]);
+        return;
+      }
+      this.write(event, data);
+    }
+
+    /**
+     * Write a message to the underlying channel
+     *
+     * @param {String} event
+     * @param {Object} data
+     */
+    write(event, data) {
+      throw new Error(`${this.constructor.name} does not implement write()`);
+    }
+
+    /**
+     * Close the transport, emits 'disconnect' if it was connected
+     */
+    disconnect() {
+      throw new Error(`${this.constructor.name} does not implement disconnect()`);
+    }
+
+    /**
+     * Mark the transport as connected
+     */
+    opened() {
+      this.connected = true;
+      for (const [event, data] of this.buffer.splice(0)) {
+        this.write(event, data);
+      }
+      this.emit('connect');
+    }
+
+    /**
+     * Mark the transport as disconnected
+     *
+     * @param {String} reason
+     */
+    closed(reason) {
+      if (!this.connected) {
+        return;
+      }
+      this.connected = false;
+      this.emit('disconnect', reason);
+    }
+}
+
+export {
+    CLIENT_DISCONNECT
+};
+
+export default Transport;
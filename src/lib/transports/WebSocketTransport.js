@@ -0,0 +1,52 @@
+import Transport, { CLIENT_DISCONNECT } from './Transport.js';
+
+/**
+ * Plain WebSocket transport, messages are sent as JSON encoded [event, data] frames
+ */
+class WebSocketTransport extends Transport {
+
+    /**
+     * @param {Object} endpoint {url}
+     * @param {Object} options
+     * @param {Function} options.WebSocket WebSocket implementation, defaults to the global one (use the ws package in older NodeJS)
+     * @param {String|Array} options.protocols WebSocket sub-protocols
+     */
+    constructor(endpoint, options = {}) {
+      super();
+      const WebSocketImpl = options.WebSocket || globalThis.WebSocket;
+      if (!WebSocketImpl) {
+        throw new Error("No WebSocket implementation available, provide transportOptions.WebSocket");
+      }
+
+      this.closing = false;
+      this.socket = new WebSocketImpl(endpoint.url.replace(/^http/, 'ws'), options.protocols);
+
+      this.socket.onopen = () => this.opened();
+      this.socket.onclose = () => this.closed(this.closing ? CLIENT_DISCONNECT : 'transport close');
+      this.socket.onerror = (error) => {
+        if (!this.connected) {
+          this.emit('connect_error', error);
+        }
+      };
+      this.socket.onmessage = (message) => {
+        let event, data;
+        try {
+          [event, data] = JSON.parse(message.data);
+        } catch (error) {
+          return; // not a beeteos frame
+        }
+        this.emit(event, data);
+      };
+    }
+
+    write(event, data) {
+      this.socket.send(JSON.stringify([event, data]));
+    }
+
+    disconnect() {
+      this.closing = true;
+      this.socket.close();
+    }
+}
+
+export default WebSocketTransport;
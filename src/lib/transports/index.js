@@ -0,0 +1,48 @@
+import Transport, { CLIENT_DISCONNECT } from './Transport.js';
+import SocketIOTransport from './SocketIOTransport.js';
+import WebSocketTransport from './WebSocketTransport.js';
+import PostMessageTransport from './PostMessageTransport.js';
+import { MemoryTransport, MemoryServer } from './MemoryTransport.js';
+
+const transports = {
+  'socket.io': SocketIOTransport,
+  'websocket': WebSocketTransport,
+  'postMessage': PostMessageTransport
+};
+
+/**
+ * Open the transport configured for an endpoint
+ *
+ * @param {Object} endpoint From resolveEndpoints(), its transport is a name, a factory function or an object with createTransport()
+ * @param {Object} socketOptions Extra socket.io options, ignored by other transports
+ * @returns {Transport}
+ */
+function createTransport(endpoint, socketOptions = {}) {
+  const transport = endpoint.transport || 'socket.io';
+
+  if (typeof transport === 'function') {
+    return transport(endpoint);
+  }
+  if (typeof transport === 'object' && typeof transport.createTransport === 'function') {
+    return transport.createTransport(endpoint);
+  }
+  if (transport === 'socket.io') {
+    return new SocketIOTransport(endpoint, socketOptions);
+  }
+  if (transports[transport]) {
+    return new transports[transport](endpoint, endpoint.transportOptions);
+  }
+
+  throw new Error(`Unknown beeteos transport: ${transport}`);
+}
+
+export {
+  CLIENT_DISCONNECT,
+  Transport,
+  SocketIOTransport,
+  WebSocketTransport,
+  PostMessageTransport,
+  MemoryTransport,
+  MemoryServer,
+  createTransport
+};
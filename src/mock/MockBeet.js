@@ -0,0 +1,456 @@
+import * as OTPAuth from 'otpauth';
+import * as ed from '@noble/ed25519';
+
+import EventEmitter from '../lib/EventEmitter.js';
+import { MemoryServer } from '../lib/transports/index.js';
+import { API_VERSION, beetErrorCodes } from '../lib/protocol.js';
+import { sha256, encryptionSchemes, encryptPayload, decryptPayload } from '../lib/crypto.js';
+
+const defaultMockOptions = {
+  host: 'localhost', // Interface the socket.io server listens on
+  port: 0, // 0 picks a free port, 60555 stands in for the plain endpoint of a real Beet
+  version: 'mock',
+  apiversion: API_VERSION, // Advertised api version, change it to test version mismatches
+  chains: ['BTS', 'BTS_TEST', 'EOS', 'TLOS', 'TUSC', 'BEOS', 'STEEM', 'BNB_TEST'],
+  encryption: [encryptionSchemes.AES_GCM, encryptionSchemes.LEGACY],
+  legacy: false, // Behave like a Beet release which advertises no capabilities
+  account: { id: '1.2.100', name: 'mock-account' }, // Account returned for every link request
+  approve: true, // Whether the user approves prompts, or a function (request) => Boolean or Promise
+  delay: 0 // Milliseconds the user takes to answer a prompt, or a function (request) => Number
+};
+
+/**
+ * Default responses of the api methods, see MockBeet.handle()
+ */
+const defaultHandlers = {
+  getAccount: ({ identity }) => identity.requested.account,
+  requestSignature: ({ params }) => ({ signatures: ['mock-signature'], params }),
+  injectedCall: ({ params }) => ({ signatures: ['mock-signature'], params }),
+  signMessage: ({ identity, params, beet }) => ({
+    signer: identity.requested.account.name,
+    key: beet.pubKey,
+    message: params,
+    signed: sha256(`${identity.identityhash} ${params}`)
+  }),
+  signNFT: ({ identity, params, beet }) => ({
+    signer: identity.requested.account.name,
+    key: beet.pubKey,
+    message: params,
+    signed: sha256(`${identity.identityhash} ${params}`)
+  }),
+  verifyMessage: () => true
+};
+
+/**
+ * Scriptable stand-in for the Beet wallet, NodeJS only for the socket.io server.
+ *
+ * Implements ping, authenticate, linkRequest, relinkRequest, unlinkRequest, dismissRequest and encrypted api requests
+ * with the same ECDH, id chain and encryption handshake as Beet. Prompts are approved, rejected and delayed as
+ * configured and every request is recorded in `requests` for assertions.
+ *
+ *   const beet = new MockBeet({ approve: (request) => request.method !== 'injectedCall' });
+ *   await beet.start();
+ *   const connection = await connect(appName, browser, origin, null, null, { url: beet.url });
+ *
+ * Connect through `beet.transport` to skip the socket.io server entirely.
+ *
+ * Emits 'request' with every recorded request and 'response' once a request is answered.
+ */
+class MockBeet extends EventEmitter {
+
+    /**
+     * @param {Object} options Overrides for defaultMockOptions
+     */
+    constructor(options = {}) {
+      super();
+      this.options = Object.assign({}, defaultMockOptions, options);
+      this.handlers = Object.assign({}, defaultHandlers);
+      this.identities = new Map(); // identityhash => {identityhash, chain, secret, next_hash, requested, appName, origin, browser}
+      this.requests = []; // Recorded requests, see record()
+      this.sockets = [];
+      this.prompts = new Map(); // id => {record, timer, resolve} of a prompt awaiting its delay
+      this.io = null;
+      this.httpServer = null;
+      this.url = null;
+
+      this.privateKey = ed.utils.randomPrivateKey();
+      this.pubKey = null;
+      this.keyReady = ed.getPublicKey(this.privateKey).then((key) => {
+        this.pubKey = ed.utils.bytesToHex(key);
+      });
+
+      this.transport = new MemoryServer(); // Pass as the transport option of connect() to connect in-process
+      this.transport.on('connection', (socket) => this.accept(socket, (event, data) => socket.send(event, data)));
+    }
+
+    /**
+     * Start the socket.io server, resolves once it listens
+     *
+     * @returns {Promise} Resolves to the url to connect to
+     */
+    async start() {
+      const [{ Server }, { createServer }] = await Promise.all([
+        import(/* webpackIgnore: true */ 'socket.io'),
+        import(/* webpackIgnore: true */ 'node:http')
+      ]);
+      await this.keyReady;
+
+      this.httpServer = createServer();
+      this.io = new Server(this.httpServer, { cors: { origin: '*' } });
+      this.io.on('connection', (socket) => this.accept(socket, (event, data) => socket.emit(event, data)));
+
+      await new Promise((resolve, reject) => {
+        this.httpServer.once('error', reject);
+        this.httpServer.listen(this.options.port, this.options.host, resolve);
+      });
+      this.url = `ws://${this.options.host}:${this.httpServer.address().port}`;
+      return this.url;
+    }
+
+    /**
+     * Disconnect every client and stop the socket.io server
+     *
+     * @returns {Promise}
+     */
+    async close() {
+      for (const { record, timer, resolve } of this.prompts.values()) {
+        clearTimeout(timer);
+        record.outcome = record.outcome || 'closed';
+        resolve();
+      }
+      this.prompts.clear();
+      this.transport.close();
+      if (this.io) {
+        await new Promise((resolve) => this.io.close(() => resolve()));
+        this.io = null;
+        this.httpServer = null;
+      }
+    }
+
+    /**
+     * Override the response of an api method
+     *
+     * @param {String} method
+     * @param {Function} handler ({method, params, identity, request, beet}) => result or Promise, thrown errors fail the request
+     */
+    handle(method, handler) {
+      this.handlers[method] = handler;
+    }
+
+    /**
+     * Capabilities advertised in pong and authenticated, null for a legacy Beet
+     *
+     * @returns {Object|null}
+     */
+    capabilities() {
+      if (this.options.legacy) {
+        return null;
+      }
+      return {
+        apiversion: this.options.apiversion,
+        version: this.options.version,
+        chains: this.options.chains,
+        methods: Object.keys(this.handlers),
+        encryption: this.options.encryption
+      };
+    }
+
+    /**
+     * Revoke an identity as if the user removed the app in Beet, connected clients are notified
+     *
+     * @param {String} identityhash
+     * @param {String} reason
+     */
+    revoke(identityhash, reason = 'removed by the user') {
+      this.identities.delete(identityhash);
+      for (const { send } of this.sockets) {
+        send('revoked', { payload: { identityhash, reason } });
+      }
+    }
+
+    /**
+     * Recorded requests, optionally only those of a type or api method
+     *
+     * @param {String} typeOrMethod E.g. 'linkRequest' or 'signMessage'
+     * @returns {Array}
+     */
+    recorded(typeOrMethod = null) {
+      return typeOrMethod
+              ? this.requests.filter((request) => request.type === typeOrMethod || request.method === typeOrMethod)
+              : [...this.requests];
+    }
+
+    /**
+     * Forget the recorded requests
+     */
+    clearRecorded() {
+      this.requests = [];
+    }
+
+    /**
+     * Serve a connected client
+     *
+     * @param {Object} socket socket.io socket or MemoryTransport
+     * @param {Function} send (event, data) => void
+     */
+    accept(socket, send) {
+      const client = { socket, send, session: null };
+      this.sockets.push(client);
+      socket.on('disconnect', () => {
+        this.sockets = this.sockets.filter((other) => other !== client);
+      });
+
+      socket.on('ping', (data) => {
+        this.record('ping', null, { apiversion: data ? data.apiversion : null });
+        const capabilities = this.capabilities();
+        send('pong', capabilities ? { capabilities } : 'pong');
+      });
+      socket.on('authenticate', (request) => this.authenticate(client, request));
+      socket.on('linkRequest', (request) => this.link(client, request));
+      socket.on('relinkRequest', (request) => this.relink(client, request));
+      socket.on('unlinkRequest', (request) => this.unlink(client, request));
+      socket.on('api', (request) => this.api(client, request));
+      socket.on('dismissRequest', (request) => this.dismiss(request));
+    }
+
+    /**
+     * Answers authenticate, recognising identities linked earlier
+     */
+    async authenticate(client, request) {
+      await this.keyReady;
+      const payload = request.payload || {};
+      client.session = { appName: payload.appName, origin: payload.origin, browser: payload.browser };
+      this.record('authenticate', request.id, payload);
+
+      const identity = payload.identityhash ? this.identities.get(payload.identityhash) : null;
+      client.send('authenticated', {
+        id: request.id,
+        payload: Object.assign({
+          authenticate: true,
+          link: !!identity,
+          requested: identity ? identity.requested : undefined,
+          pub_key: this.pubKey
+        }, this.capabilities() || {})
+      });
+    }
+
+    /**
+     * Prompts for a new link, deriving the shared secret from the app's public key
+     */
+    async link(client, request) {
+      const payload = request.payload || {};
+      const record = this.record('linkRequest', request.id, { chain: payload.chain, request: payload.request });
+      if (!await this.prompt(record)) {
+        return this.fail(client, 'link', record, beetErrorCodes.USER_REJECTED, 'User rejected');
+      }
+
+      const secret = ed.utils.bytesToHex(await ed.getSharedSecret(this.privateKey, payload.pubkey));
+      const identity = Object.assign({
+        identityhash: sha256(`${secret} ${request.id}`),
+        chain: payload.chain,
+        secret: secret,
+        next_hash: payload.next_hash,
+        requested: { account: Object.assign({}, this.options.account) }
+      }, client.session);
+      this.identities.set(identity.identityhash, identity);
+
+      this.answer(client, 'link', record, {
+        link: true,
+        authenticate: true,
+        existing: false,
+        identityhash: identity.identityhash,
+        chain: identity.chain,
+        requested: identity.requested,
+        pub_key: this.pubKey
+      });
+    }
+
+    /**
+     * Prompts to relink a known identity, accepting its fresh next_hash
+     */
+    async relink(client, request) {
+      const payload = request.payload || {};
+      const record = this.record('relinkRequest', request.id, { chain: payload.chain, identityhash: payload.identityhash });
+      const identity = this.identities.get(payload.identityhash);
+      if (!identity) {
+        return this.fail(client, 'link', record, beetErrorCodes.IDENTITY_REVOKED, 'Unknown identity');
+      }
+      if (!await this.prompt(record)) {
+        return this.fail(client, 'link', record, beetErrorCodes.USER_REJECTED, 'User rejected');
+      }
+
+      identity.next_hash = payload.next_hash;
+      this.answer(client, 'link', record, {
+        link: true,
+        authenticate: true,
+        existing: true,
+        identityhash: identity.identityhash,
+        chain: identity.chain,
+        requested: identity.requested,
+        pub_key: this.pubKey
+      });
+    }
+
+    /**
+     * Forgets an identity without prompting
+     */
+    unlink(client, request) {
+      const payload = request.payload || {};
+      const record = this.record('unlinkRequest', request.id, { identityhash: payload.identityhash });
+      if (!this.identities.delete(payload.identityhash)) {
+        return this.fail(client, 'unlink', record, beetErrorCodes.IDENTITY_REVOKED, 'Unknown identity');
+      }
+      this.answer(client, 'unlink', record, { unlinked: true });
+    }
+
+    /**
+     * Decrypts an api request, prompts and answers with the encrypted result of the method's handler
+     */
+    async api(client, request) {
+      // Beet finds the identity by the id the app announced with its previous request
+      const hash = sha256(request.id);
+      const identity = [...this.identities.values()].find((candidate) => candidate.next_hash === hash);
+      const record = this.record('api', request.id, { encryption: request.encryption || encryptionSchemes.LEGACY });
+      if (!identity) {
+        return this.fail(client, 'api', record, beetErrorCodes.ID_MISMATCH, 'Unknown request id');
+      }
+
+      const keys = this.keys(identity);
+      const scheme = request.encryption || encryptionSchemes.LEGACY;
+      let payload;
+      try {
+        payload = JSON.parse(await decryptPayload(scheme, keys, request.id, request.payload, 'request'));
+      } catch (error) {
+        return this.fail(client, 'api', record, 0, error.message);
+      }
+
+      identity.next_hash = payload.next_hash;
+      Object.assign(record, { method: payload.method, params: payload.params, identityhash: identity.identityhash });
+      this.emit('request', record);
+
+      if (!this.handlers[payload.method]) {
+        return this.fail(client, 'api', record, 0, `Unsupported method ${payload.method}`);
+      }
+      if (!await this.prompt(record)) {
+        return this.fail(client, 'api', record, beetErrorCodes.USER_REJECTED, 'User rejected');
+      }
+
+      let result;
+      try {
+        result = await this.handlers[payload.method]({ method: payload.method, params: payload.params, identity, request: record, beet: this });
+      } catch (error) {
+        return this.fail(client, 'api', record, 0, error.message);
+      }
+
+      const plaintext = typeof result === 'string' ? result : JSON.stringify(result);
+      this.answer(client, 'api', record, await encryptPayload(scheme, keys, request.id, plaintext, 'response'), {
+        encrypted: true,
+        encryption: this.options.legacy ? undefined : scheme
+      });
+    }
+
+    /**
+     * The app gave up on a request, its pending prompt is dropped without an answer
+     */
+    dismiss(request) {
+      const record = this.requests.find((candidate) => candidate.id === request.id);
+      this.record('dismissRequest', request.id, { dismissed: request.id });
+      if (record && !record.outcome) {
+        record.outcome = 'dismissed';
+        if (this.prompts.has(request.id)) {
+          const { timer, resolve } = this.prompts.get(request.id);
+          clearTimeout(timer);
+          this.prompts.delete(request.id);
+          resolve();
+        }
+      }
+    }
+
+    /**
+     * Key material of an identity, as the app derives it
+     *
+     * @param {Object} identity
+     * @returns {Object} {secret, otp}
+     */
+    keys(identity) {
+      return {
+        secret: identity.secret,
+        otp: new OTPAuth.HOTP({
+            issuer: "Beet",
+            label: "BeetAuth",
+            algorithm: "SHA1",
+            digits: 32,
+            counter: 0,
+            secret: OTPAuth.Secret.fromHex(identity.secret)
+        })
+      };
+    }
+
+    /**
+     * Records a request
+     *
+     * @param {String} type
+     * @param {String} id
+     * @param {Object} details
+     * @returns {Object} {type, id, time, outcome, ...details}, outcome is set once answered
+     */
+    record(type, id, details = {}) {
+      const record = Object.assign({ type, id, time: Date.now(), outcome: null }, details);
+      this.requests.push(record);
+      if (type !== 'api') {
+        this.emit('request', record);
+      }
+      return record;
+    }
+
+    /**
+     * Asks the simulated user, honouring the configured delay
+     *
+     * @param {Object} record
+     * @returns {Promise} Resolves to whether the user approved, false when the app dismissed the prompt or Beet
+     *                    closed meanwhile, the delay is then cut short
+     */
+    async prompt(record) {
+      const { approve, delay } = this.options;
+      const wait = typeof delay === 'function' ? await delay(record) : delay;
+      if (wait > 0) {
+        await new Promise((resolve) => this.prompts.set(record.id, { record, timer: setTimeout(resolve, wait), resolve }));
+        this.prompts.delete(record.id);
+      }
+      if (record.outcome === 'dismissed' || record.outcome === 'closed') {
+        return false;
+      }
+      return typeof approve === 'function' ? !!await approve(record) : !!approve;
+    }
+
+    /**
+     * Approves a request, unless the app dismissed it or Beet closed
+     */
+    answer(client, event, record, payload, extra = {}) {
+      if (record.outcome === 'dismissed' || record.outcome === 'closed') {
+        return;
+      }
+      record.outcome = 'approved';
+      client.send(event, Object.assign({ id: record.id, payload }, extra));
+      this.emit('response', record);
+    }
+
+    /**
+     * Fails a request with a Beet error code, unless the app dismissed it or Beet closed
+     */
+    fail(client, event, record, code, message) {
+      if (record.outcome === 'dismissed' || record.outcome === 'closed') {
+        return;
+      }
+      record.outcome = code === beetErrorCodes.USER_REJECTED ? 'rejected' : 'failed';
+      record.error = { code, message };
+      client.send(event, { id: record.id, error: true, payload: { code, message } });
+      this.emit('response', record);
+    }
+}
+
+export {
+  defaultMockOptions
+};
+
+export default MockBeet;
@@ -0,0 +1,6 @@
+import MockBeet, { defaultMockOptions } from './MockBeet.js';
+
+export {
+  MockBeet,
+  defaultMockOptions
+};
@@ -0,0 +1,9 @@
+import { steemChains, isSteemLib, injectSteemLib } from "./lib/steem.js";
+
+// Entry point for injecting into steem-js, also available as BeetConnection.inject()
+
+export {
+  steemChains,
+  isSteemLib,
+  injectSteemLib
+};
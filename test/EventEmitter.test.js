@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import EventEmitter from '../src/lib/EventEmitter.js';
+import { createLogger } from '../src/lib/logger.js';
+
+test('listeners which throw are reported to the logger, the others still run', () => {
+  const emitter = new EventEmitter();
+  const records = [];
+  emitter.logger = createLogger((record) => records.push(record));
+
+  let called = false;
+  emitter.on('ping', () => { throw new Error('boom'); });
+  emitter.on('ping', () => { called = true; });
+  emitter.emit('ping');
+
+  assert.ok(called);
+  assert.equal(records.length, 1);
+  assert.equal(records[0].message, 'event listener failed');
+  assert.equal(records[0].event, 'ping');
+});
+
+test('listener errors are silent by default', () => {
+  const calls = [];
+  const { log, error } = console;
+  console.log = (...args) => calls.push(args);
+  console.error = (...args) => calls.push(args);
+
+  try {
+    const emitter = new EventEmitter();
+    emitter.on('ping', () => { throw new Error('boom'); });
+    emitter.emit('ping');
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+
+  assert.deepEqual(calls, []);
+});
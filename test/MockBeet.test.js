@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+
+import { connect, link } from '../src/index.js';
+import { MockBeet } from '../src/mock/index.js';
+
+/**
+ * Linked connection to a mock Beet whose user takes a minute to answer api prompts
+ */
+async function slowBeet() {
+  const beet = new MockBeet({ delay: (record) => record.type === 'api' ? 60000 : 0 });
+  const url = await beet.start();
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, { url });
+  await link('BTS', connection);
+
+  const prompts = [];
+  const prompt = beet.prompt.bind(beet);
+  beet.prompt = (record) => {
+    const asked = prompt(record);
+    prompts.push(asked);
+    return asked;
+  };
+  return { beet, connection, prompts };
+}
+
+test('a dismissed prompt stops waiting for the user', { timeout: 5000 }, async () => {
+  const { beet, connection, prompts } = await slowBeet();
+  try {
+    const controller = new AbortController();
+    const signing = connection.chain().signMessage('hello', { signal: controller.signal });
+    await once(beet, 'request');
+    controller.abort();
+    await assert.rejects(signing);
+    await once(beet, 'request');
+
+    assert.equal(await prompts[0], false);
+    assert.equal(beet.recorded('signMessage')[0].outcome, 'dismissed');
+  } finally {
+    connection.disconnect();
+    await beet.close();
+  }
+});
+
+test('closing Beet stops waiting for the user', { timeout: 5000 }, async () => {
+  const { beet, connection, prompts } = await slowBeet();
+  connection.chain().signMessage('hello').catch(() => {});
+  while (!prompts.length) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  await beet.close();
+  connection.disconnect();
+
+  assert.equal(await prompts[0], false);
+  assert.equal(beet.recorded('signMessage')[0].outcome, 'closed');
+});
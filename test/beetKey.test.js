@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connect, link, BeetIdentityChangedError } from '../src/index.js';
+import { MockBeet } from '../src/mock/index.js';
+
+/**
+ * Connection linked to a mock Beet, then disconnected
+ */
+async function linkedIdentity(beet) {
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, { transport: beet.transport });
+  await link('BTS', connection);
+  connection.disconnect();
+  return connection;
+}
+
+test('the public key of Beet is pinned when linking', async () => {
+  const beet = new MockBeet();
+  const connection = await linkedIdentity(beet);
+
+  assert.equal(connection.identity.beetkey, beet.pubKey);
+  await connect('App', 'Chrome', 'localhost', connection, connection.identity, { transport: beet.transport });
+  assert.equal(connection.linked, true);
+  connection.disconnect();
+});
+
+test('another Beet key is refused until the app trusts it', async () => {
+  const connection = await linkedIdentity(new MockBeet());
+  const impostor = new MockBeet();
+  await impostor.keyReady;
+
+  const error = await connect('App', 'Chrome', 'localhost', connection, connection.identity, { transport: impostor.transport })
+                  .catch((error) => error);
+  assert.ok(error instanceof BeetIdentityChangedError);
+  assert.equal(error.details.received, impostor.pubKey);
+  assert.equal(impostor.recorded('relinkRequest').length, 0);
+
+  connection.trustBeetKey(error.details.received);
+  await connect('App', 'Chrome', 'localhost', connection, connection.identity, { transport: impostor.transport });
+  assert.equal(connection.identity.beetkey, impostor.pubKey);
+  assert.equal(connection.linked, false); // the new Beet does not know the identity, the app has to link anew
+  connection.disconnect();
+});
+
+test('identities linked before keys were pinned trust the first key seen', async () => {
+  const beet = new MockBeet();
+  const connection = await linkedIdentity(beet);
+  delete connection.identity.beetkey;
+
+  await connect('App', 'Chrome', 'localhost', connection, connection.identity, { transport: beet.transport });
+  assert.equal(connection.identity.beetkey, beet.pubKey);
+  connection.disconnect();
+});
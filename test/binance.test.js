@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connect, link, NotLinkedError, ChainUnsupportedError } from '../src/index.js';
+import { isBinanceClient, injectBinanceLib } from '../src/binance.js';
+import { MockBeet } from '../src/mock/index.js';
+
+/**
+ * Stands in for a BncClient, which would sign with its own private key
+ */
+function binanceClient() {
+  const unsigned = () => {
+    throw new Error('the client signed the transaction itself');
+  };
+  return { placeOrder: unsigned, cancelOrder: unsigned, transfer: unsigned, sendRawTransaction: unsigned };
+}
+
+/**
+ * Connection to an in-process mock Beet linked to the given chain
+ */
+async function linkedConnection(chain) {
+  const beet = new MockBeet();
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, { transport: beet.transport });
+  await link(chain, connection);
+  return { beet, connection };
+}
+
+test('a Binance chain client is recognised by placeOrder()', () => {
+  assert.equal(isBinanceClient(binanceClient()), true);
+  assert.equal(isBinanceClient({}), false);
+  assert.equal(isBinanceClient(null), false);
+});
+
+test('placeOrder() sends its named arguments to Beet, which signs and broadcasts', async () => {
+  const { beet, connection } = await linkedConnection('BNB_TEST');
+  try {
+    const client = connection.chain().inject(binanceClient(), { sign: true, broadcast: true });
+    const result = await client.placeOrder('tbnb1mock', 'BNB_BTC', 1, 0.001, 10);
+
+    const [call, payload, keys] = result.params;
+    assert.equal(call, 'signAndBroadcast');
+    assert.deepEqual(JSON.parse(payload), {
+      method: 'placeOrder',
+      params: { address: 'tbnb1mock', symbol: 'BNB_BTC', side: 1, price: 0.001, quantity: 10 }
+    });
+    assert.deepEqual(keys, []);
+    assert.equal(beet.recorded('injectedCall').length, 1);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('with broadcast off transfers and cancellations are only signed', async () => {
+  const { beet, connection } = await linkedConnection('BNB_TEST');
+  try {
+    const client = connection.chain().inject(binanceClient(), { sign: true, broadcast: false });
+    await client.transfer('tbnb1mock', 'tbnb1other', 5, 'BNB', 'memo');
+    await client.cancelOrder('tbnb1mock', 'BNB_BTC', 'order-1');
+
+    const calls = beet.recorded('injectedCall').map((request) => [request.params[0], JSON.parse(request.params[1])]);
+    assert.deepEqual(calls, [
+      ['sign', { method: 'transfer', params: { fromAddress: 'tbnb1mock', toAddress: 'tbnb1other', amount: 5, asset: 'BNB', memo: 'memo' } }],
+      ['sign', { method: 'cancelOrder', params: { fromAddress: 'tbnb1mock', symbol: 'BNB_BTC', refid: 'order-1' } }]
+    ]);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('the client is only injected for a linked Binance chain identity and with signing on', async () => {
+  const { connection } = await linkedConnection('STEEM');
+  try {
+    assert.throws(() => injectBinanceLib(connection, binanceClient()), NotLinkedError);
+  } finally {
+    connection.disconnect();
+  }
+
+  const binance = await linkedConnection('BNB_TEST');
+  try {
+    assert.throws(() => injectBinanceLib(binance.connection, binanceClient(), { sign: false }), ChainUnsupportedError);
+  } finally {
+    binance.connection.disconnect();
+  }
+});
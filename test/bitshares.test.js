@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as secp from '@noble/secp256k1';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { ripemd160 } from '@noble/hashes/legacy.js';
+import { bytesToHex, hexToBytes, concatBytes } from '@noble/hashes/utils.js';
+
+import { connect, link, TransactionMismatchError } from '../src/index.js';
+import { MockBeet } from '../src/mock/index.js';
+
+const chainId = '4018d7844c78f6a6c41c6a552b898022310fc5dec06da467ee7905a8dad512c8'; // BitShares mainnet
+const accountKey = '11'.repeat(32);
+const otherKey = '22'.repeat(32);
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {String}
+ */
+function base58(bytes) {
+  const alphabet = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+  let number = BigInt(`0x${bytesToHex(bytes)}`);
+  let encoded = '';
+  while (number > 0n) {
+    encoded = alphabet[Number(number % 58n)] + encoded;
+    number /= 58n;
+  }
+  return encoded;
+}
+
+/**
+ * BitShares public key string of a private key
+ */
+function publicKey(privateKey) {
+  const key = secp.getPublicKey(privateKey, true);
+  return `BTS${base58(concatBytes(key, ripemd160(key).subarray(0, 4)))}`;
+}
+
+/**
+ * Stands in for the bitsharesjs serialization of a transaction, the bytes its signatures cover
+ */
+function serialize(transaction) {
+  const { ref_block_num, ref_block_prefix, expiration, operations, extensions } = transaction;
+  return new TextEncoder().encode(JSON.stringify({ ref_block_num, ref_block_prefix, expiration, operations, extensions }));
+}
+
+/**
+ * Graphene signature of a transaction: recovery byte, then r and s
+ */
+async function signTransaction(transaction, privateKey) {
+  const digest = sha256(concatBytes(hexToBytes(chainId), serialize(transaction)));
+  const [signature, recovery] = await secp.sign(digest, privateKey, { recovered: true, der: false });
+  return bytesToHex(concatBytes(Uint8Array.of(recovery + 31), signature));
+}
+
+/**
+ * Stands in for the bitsharesjs TransactionBuilder, whose signing methods the injection replaces
+ */
+class TransactionBuilder {
+  constructor() {
+    this.operations = [];
+    this.signatures = [];
+    this.tr_buffer = null;
+  }
+
+  get_type_operation() {}
+
+  add_type_operation(name, operation) {
+    this.operations.push([0, operation]);
+  }
+
+  add_signer() {
+    throw new Error('bitsharesjs signed the transaction itself');
+  }
+
+  sign() {
+    throw new Error('bitsharesjs signed the transaction itself');
+  }
+
+  async finalize() {
+    Object.assign(this, { ref_block_num: 1, ref_block_prefix: 2, expiration: '2026-01-01T00:00:00' });
+    this.tr_buffer = serialize(this.toObject());
+  }
+
+  toObject() {
+    return {
+      ref_block_num: this.ref_block_num,
+      ref_block_prefix: this.ref_block_prefix,
+      expiration: this.expiration,
+      operations: this.operations,
+      extensions: [],
+      signatures: this.signatures
+    };
+  }
+}
+
+/**
+ * Mock Beet signing with the given key, the transaction it returns may be changed first
+ */
+async function signingBeet(privateKey, change = (transaction) => transaction) {
+  const beet = new MockBeet();
+  beet.handle('injectedCall', async ({ params }) => {
+    const transaction = change(JSON.parse(params[1]));
+    return Object.assign(transaction, { signatures: [await signTransaction(transaction, privateKey)] });
+  });
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, { transport: beet.transport });
+  await link('BTS', connection);
+  connection.chain('BTS').inject(TransactionBuilder, { sign: true, broadcast: false });
+  return { beet, connection };
+}
+
+/**
+ * A transfer from the linked account, signed by Beet for the public key of the account
+ */
+async function signTransfer() {
+  const builder = new TransactionBuilder();
+  builder.add_type_operation('transfer', { from: '1.2.100', to: '1.2.200', amount: { amount: 100, asset_id: '1.3.0' } });
+  builder.add_signer('inject_wif', publicKey(accountKey));
+  await builder.finalize();
+  return { builder, signed: await builder.sign() };
+}
+
+test('a transaction signed by the key of the account is accepted', async () => {
+  const { beet, connection } = await signingBeet(accountKey);
+  try {
+    const { builder, signed } = await signTransfer();
+
+    assert.equal(builder.signed, true);
+    assert.equal(signed.signatures.length, 1);
+    assert.deepEqual(signed.operations, builder.operations);
+    assert.deepEqual(beet.recorded('injectedCall')[0].params[2], [publicKey(accountKey)]);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('a transaction whose operation was changed is refused, with the differences', async () => {
+  const { connection } = await signingBeet(accountKey, (transaction) => {
+    transaction.operations[0][1].amount.amount = 200;
+    return transaction;
+  });
+  try {
+    await assert.rejects(signTransfer(), (error) => {
+      assert.ok(error instanceof TransactionMismatchError);
+      assert.deepEqual(error.details.differences, ['operations[0][1].amount.amount: expected 100, received 200']);
+      return true;
+    });
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('a signature by another key than the account key is refused', async () => {
+  const { connection } = await signingBeet(otherKey);
+  try {
+    await assert.rejects(signTransfer(), (error) => {
+      assert.ok(error instanceof TransactionMismatchError);
+      assert.deepEqual(error.details.missing, [publicKey(accountKey)]);
+      assert.deepEqual(error.details.unexpected, [publicKey(otherKey)]);
+      return true;
+    });
+  } finally {
+    connection.disconnect();
+  }
+});
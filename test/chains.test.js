@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connect, link, registerChain, registeredChains, NotLinkedError, ChainUnsupportedError } from '../src/index.js';
+import { MockBeet } from '../src/mock/index.js';
+
+/**
+ * Plugin of a chain Beet does not know out of the box, recording the calls of its methods and injections
+ */
+const calls = [];
+registerChain({
+  chains: ['HIVE'],
+  requestDetails: ['account', 'name'],
+  identity: (requested) => ({ account: requested.account, hive: true }),
+  methods: {
+    transfer(connection, transfer) {
+      calls.push(['transfer', connection, transfer]);
+      return 'transferred';
+    }
+  },
+  injections: [
+    { name: 'injectHiveJs', matches: (library) => !!library.hive, inject: (connection, library) => Object.assign(library, { injected: 'hive' }) },
+    { matches: (library) => !!library.any, inject: (connection, library) => Object.assign(library, { injected: 'any' }) }
+  ]
+});
+
+/**
+ * Connection to an in-process mock Beet linked to the given chain
+ */
+async function linkedConnection(chain) {
+  const beet = new MockBeet({ chains: ['BTS', 'EOS', 'HIVE'] });
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, { transport: beet.transport });
+  await link(chain, connection);
+  return { beet, connection };
+}
+
+test('a plugin needs its chains and complete injections, ANY is not a chain', () => {
+  assert.throws(() => registerChain({ chains: [] }), /symbols of its chains/);
+  assert.throws(() => registerChain({ chains: ['ANY'] }), /ANY is not a chain/);
+  assert.throws(() => registerChain({ chains: ['NEW'], injections: [{ matches: () => true }] }), /matches\(\) and inject\(\)/);
+  assert.equal(registeredChains().includes('NEW'), false);
+});
+
+test('the built-in chains and the registered ones are listed', () => {
+  for (const chain of ['BTS', 'BTS_TEST', 'TUSC', 'EOS', 'TLOS', 'BEOS', 'STEEM', 'BNB_TEST', 'HIVE']) {
+    assert.ok(registeredChains().includes(chain), chain);
+  }
+});
+
+test('the API of a registered chain has the common methods, its methods and its named injections', async () => {
+  const { beet, connection } = await linkedConnection('HIVE');
+  try {
+    assert.equal(connection.identity.hive, true);
+    const hive = connection.chain();
+    assert.equal(hive.chain, 'HIVE');
+
+    assert.equal(hive.transfer({ to: 'alice' }), 'transferred');
+    assert.deepEqual(calls.at(-1), ['transfer', connection, { to: 'alice' }]);
+    assert.ok(await hive.signMessage('hello'));
+    assert.equal(beet.recorded('signMessage').length, 1);
+
+    assert.equal(hive.injectHiveJs({}).injected, 'hive');
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('inject() hands the library to the first injection matching it', async () => {
+  const { connection } = await linkedConnection('HIVE');
+  try {
+    assert.equal(connection.chain().inject({ hive: true, any: true }).injected, 'hive');
+    assert.equal(connection.chain().inject({ any: true }).injected, 'any');
+    assert.throws(() => connection.chain().inject({}), ChainUnsupportedError);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('the API of another chain than the linked one throws NotLinkedError, an unregistered chain ChainUnsupportedError', async () => {
+  const { connection } = await linkedConnection('EOS');
+  try {
+    assert.throws(() => connection.chain('BTS').getAccount(), NotLinkedError);
+    assert.throws(() => connection.chain('HIVE').inject({ any: true }), NotLinkedError);
+    assert.throws(() => connection.chain('DOGE'), (error) => error instanceof ChainUnsupportedError && error.details.chain === 'DOGE');
+    assert.throws(() => connection.chain('BTS').inject({ transact() {}, rpc: {} }), NotLinkedError);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('only the details allowed by the plugin can be requested when linking', async () => {
+  const beet = new MockBeet({ chains: ['BTS', 'HIVE'] });
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, { transport: beet.transport });
+  try {
+    await assert.rejects(connection.link('BTS', ['account', 'name']), ChainUnsupportedError);
+    assert.equal(beet.recorded('linkRequest').length, 0);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('libraries are injected through the chain API only', async () => {
+  const { connection } = await linkedConnection('EOS');
+  try {
+    for (const method of ['injectEosjs', 'injectSteemLib', 'injectBinanceLib']) {
+      assert.equal(connection[method], undefined, method);
+    }
+    assert.equal(typeof connection.chain('EOS').injectEosjs, 'function');
+  } finally {
+    connection.disconnect();
+  }
+});
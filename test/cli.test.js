@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { main } from '../src/cli/index.js';
+import { MockBeet } from '../src/mock/index.js';
+
+/**
+ * Runs the command line, collecting what it prints
+ */
+async function run(argv) {
+  const output = { stdout: '', stderr: '' };
+  const io = {
+    stdout: { write: (text) => { output.stdout += text; } },
+    stderr: { write: (text) => { output.stderr += text; } }
+  };
+  output.status = await main(argv, io);
+  return output;
+}
+
+test('usage errors exit with status 2', async () => {
+  assert.equal((await run(['--help'])).status, 0);
+  assert.equal((await run([])).status, 2);
+  assert.equal((await run(['transfer'])).status, 2);
+  assert.equal((await run(['account', '--timeout', 'soon'])).status, 2);
+  assert.equal((await run(['sign-message'])).status, 2);
+});
+
+test('link stores the identity which the other commands use', async () => {
+  const beet = new MockBeet();
+  const url = await beet.start();
+  const directory = await mkdtemp(join(tmpdir(), 'beeteos-cli-'));
+  const options = ['--url', url, '--store', join(directory, 'identities.json')];
+
+  try {
+    const notLinked = await run(['account', ...options]);
+    assert.equal(notLinked.status, 1);
+    assert.equal(JSON.parse(notLinked.stderr).error.code, 'NOT_LINKED');
+
+    const linked = await run(['link', ...options]);
+    assert.equal(linked.status, 0);
+    assert.deepEqual(JSON.parse(linked.stdout).account, { id: '1.2.100', name: 'mock-account' });
+
+    const account = await run(['account', ...options]);
+    assert.deepEqual(JSON.parse(account.stdout), { id: '1.2.100', name: 'mock-account' });
+
+    const signed = await run(['sign-message', 'hello', ...options]);
+    assert.equal(signed.status, 0);
+    assert.equal(JSON.parse(signed.stdout).message, 'hello');
+
+    const status = await run(['status', ...options]);
+    assert.equal(status.status, 0);
+    assert.equal(JSON.parse(status.stdout).identities.length, 1);
+
+    assert.equal(beet.recorded('linkRequest').length, 1);
+    assert.equal(beet.recorded('relinkRequest').length, 2); // account and sign-message relink the stored identity
+  } finally {
+    await beet.close();
+    await rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('a rejected prompt exits with status 1 and the error code', async () => {
+  const beet = new MockBeet({ approve: (record) => record.type !== 'api' });
+  const url = await beet.start();
+  const directory = await mkdtemp(join(tmpdir(), 'beeteos-cli-'));
+  const options = ['--url', url, '--store', join(directory, 'identities.json')];
+
+  try {
+    assert.equal((await run(['link', ...options])).status, 0);
+    const rejected = await run(['sign-message', 'hello', ...options]);
+    assert.equal(rejected.status, 1);
+    assert.equal(JSON.parse(rejected.stderr).error.code, 'USER_REJECTED');
+  } finally {
+    await beet.close();
+    await rm(directory, { recursive: true, force: true });
+  }
+});
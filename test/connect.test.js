@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connect, MemoryServer, API_VERSION, RequestTimeoutError, ConnectionLostError } from '../src/index.js';
+
+/**
+ * Beet stand-in which answers pings, then handles authenticate requests with the given function
+ */
+function stubBeet(onAuthenticate) {
+  const server = new MemoryServer();
+  server.on('connection', (socket) => {
+    socket.on('ping', () => socket.send('pong', { capabilities: { apiversion: API_VERSION, version: 'stub' } }));
+    socket.on('authenticate', (request) => onAuthenticate(socket, request));
+  });
+  return server;
+}
+
+test('connect() gives up when Beet does not authenticate in time', { timeout: 5000 }, async () => {
+  const server = stubBeet(() => {});
+
+  await assert.rejects(connect('App', 'Chrome', 'localhost', null, null, { transport: server, discoveryTimeout: 100 }), RequestTimeoutError);
+  await new Promise((resolve) => setTimeout(resolve, 0)); // the server end closes asynchronously
+  assert.equal(server.sockets.length, 0);
+});
+
+test('connect() fails when the socket drops before Beet authenticates', { timeout: 5000 }, async () => {
+  const server = stubBeet((socket) => socket.disconnect());
+
+  await assert.rejects(connect('App', 'Chrome', 'localhost', null, null, { transport: server }), ConnectionLostError);
+});
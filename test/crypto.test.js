@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, createDecipheriv } from 'node:crypto';
+import * as OTPAuth from 'otpauth';
+
+import { encryptionSchemes, encryptPayload, decryptPayload } from '../src/lib/crypto.js';
+import { DecryptionError } from '../src/lib/errors.js';
+
+const secret = '4f1c2e7a9b3d5f6071829304a5b6c7d8e9f0a1b2c3d4e5f60718293a4b5c6d7e';
+const id = '6b0f9e2c-1d3a-4c5b-8e7f-9a0b1c2d3e4f';
+const plaintext = JSON.stringify({ method: 'signMessage', params: 'hello Beet' });
+
+/**
+ * Key material of an identity, as BeetConnection derives it
+ */
+const keys = {
+  secret,
+  otp: new OTPAuth.HOTP({
+    issuer: "Beet",
+    label: "BeetAuth",
+    algorithm: "SHA1",
+    digits: 32,
+    counter: 0,
+    secret: OTPAuth.Secret.fromHex(secret)
+  })
+};
+
+/**
+ * CryptoJS.AES.encrypt(plaintext, keys.otp.generate({ counter: id })).toString() with crypto-js 4.2.0,
+ * the format of older Beet releases
+ */
+const cryptoJsPayload = 'U2FsdGVkX1+IdX38vJ14Sv9d/lkjxjpguhpaEryIrd90v4T27BLzeaHt2GkbIR1wsprbwg+WPVlKMAxNfJ0HYA==';
+
+test('aes-256-gcm payloads round-trip in each direction', async () => {
+  const request = await encryptPayload(encryptionSchemes.AES_GCM, keys, id, plaintext, 'request');
+  const response = await encryptPayload(encryptionSchemes.AES_GCM, keys, id, plaintext, 'response');
+
+  assert.equal(typeof request.iv, 'string');
+  assert.notEqual(request.ciphertext, response.ciphertext);
+  assert.equal(await decryptPayload(encryptionSchemes.AES_GCM, keys, id, request, 'request'), plaintext);
+  assert.equal(await decryptPayload(encryptionSchemes.AES_GCM, keys, id, response, 'response'), plaintext);
+});
+
+test('tampered aes-256-gcm payloads are rejected', async () => {
+  const payload = await encryptPayload(encryptionSchemes.AES_GCM, keys, id, plaintext, 'response');
+  const bytes = Buffer.from(payload.ciphertext, 'base64');
+  bytes[0] ^= 1;
+  const tampered = { iv: payload.iv, ciphertext: bytes.toString('base64') };
+
+  await assert.rejects(decryptPayload(encryptionSchemes.AES_GCM, keys, id, tampered), DecryptionError);
+  await assert.rejects(decryptPayload(encryptionSchemes.AES_GCM, keys, 'another-request-id', payload), DecryptionError);
+  await assert.rejects(decryptPayload(encryptionSchemes.AES_GCM, keys, id, payload, 'request'), DecryptionError);
+  await assert.rejects(decryptPayload(encryptionSchemes.AES_GCM, { secret: 'ab'.repeat(32) }, id, payload), DecryptionError);
+  await assert.rejects(decryptPayload(encryptionSchemes.AES_GCM, keys, id, 'not an object'), DecryptionError);
+});
+
+test('legacy payloads of crypto-js are decrypted', async () => {
+  assert.equal(await decryptPayload(encryptionSchemes.LEGACY, keys, id, cryptoJsPayload), plaintext);
+});
+
+test('legacy payloads are in the OpenSSL format crypto-js decrypts', async () => {
+  const payload = await encryptPayload(encryptionSchemes.LEGACY, keys, id, plaintext);
+  const bytes = Buffer.from(payload, 'base64');
+  assert.equal(bytes.subarray(0, 8).toString(), 'Salted__');
+
+  // EVP_BytesToKey(MD5) and AES-256-CBC with node:crypto, independently of the implementation under test
+  const passphrase = Buffer.from(keys.otp.generate({ counter: id }));
+  const salt = bytes.subarray(8, 16);
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  while (derived.length < 48) {
+    block = createHash('md5').update(Buffer.concat([block, passphrase, salt])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+  const decipher = createDecipheriv('aes-256-cbc', derived.subarray(0, 32), derived.subarray(32, 48));
+  const decrypted = Buffer.concat([decipher.update(bytes.subarray(16)), decipher.final()]).toString();
+
+  assert.equal(decrypted, plaintext);
+  assert.equal(await decryptPayload(encryptionSchemes.LEGACY, keys, id, payload), plaintext);
+});
+
+test('legacy payloads encrypted for another identity are rejected', async () => {
+  const payload = await encryptPayload(encryptionSchemes.LEGACY, keys, id, plaintext);
+  const otherKeys = {
+    otp: new OTPAuth.HOTP({ algorithm: "SHA1", digits: 32, counter: 0, secret: OTPAuth.Secret.fromHex('ab'.repeat(32)) })
+  };
+
+  await assert.rejects(decryptPayload(encryptionSchemes.LEGACY, otherKeys, id, payload), DecryptionError);
+  await assert.rejects(decryptPayload(encryptionSchemes.LEGACY, keys, id, 'bm90IHNhbHRlZA=='), DecryptionError);
+});
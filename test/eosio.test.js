@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connect, link, NotLinkedError, ChainUnsupportedError, InvalidResponseError } from '../src/index.js';
+import { isEosjsApi, injectEosjs } from '../src/eosio.js';
+import { MockBeet } from '../src/mock/index.js';
+
+/**
+ * Stands in for an eosjs Api: transact() serializes, signs with the signature provider and pushes the transaction
+ */
+class Api {
+  constructor() {
+    this.rpc = {};
+    this.chainId = 'mock-chain-id';
+    this.transacted = [];
+  }
+
+  async transact(transaction, options = {}) {
+    this.transacted.push(options);
+    const serializedTransaction = Uint8Array.from([1, 2, 3]);
+    if (options.sign === false) {
+      return { serializedTransaction, serializedContextFreeData: null };
+    }
+    const { signatures } = await this.signatureProvider.sign({
+      chainId: this.chainId,
+      requiredKeys: options.requiredKeys,
+      serializedTransaction,
+      serializedContextFreeData: null
+    });
+    return options.broadcast === false ? { signatures, serializedTransaction } : { pushed: true, signatures };
+  }
+}
+
+const transaction = { actions: [{ account: 'eosio.token', name: 'transfer', data: { quantity: '1.0000 EOS' } }] };
+
+/**
+ * Connection to an in-process mock Beet linked to the given chain
+ */
+async function linkedConnection(chain) {
+  const beet = new MockBeet();
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, { transport: beet.transport });
+  await link(chain, connection);
+  return { beet, connection };
+}
+
+test('an eosjs Api is recognised by transact() and rpc', () => {
+  assert.equal(isEosjsApi(new Api()), true);
+  assert.equal(isEosjsApi({ transact() {} }), false);
+  assert.equal(isEosjsApi(null), false);
+});
+
+test('transact() has Beet sign and broadcast the transaction eosjs serialized', async () => {
+  const { beet, connection } = await linkedConnection('EOS');
+  try {
+    const api = connection.chain().inject(new Api(), { sign: true, broadcast: true, publicKeys: ['EOS-mock-key'] });
+    const result = await api.transact(transaction);
+
+    assert.deepEqual(api.transacted, [{ requiredKeys: ['EOS-mock-key'], sign: false, broadcast: false }]);
+    const [call, payload, keys] = result.params;
+    assert.equal(call, 'signAndBroadcast');
+    assert.deepEqual(JSON.parse(payload), {
+      chainId: 'mock-chain-id',
+      transaction,
+      serializedTransaction: '010203',
+      serializedContextFreeData: null
+    });
+    assert.deepEqual(keys, ['EOS-mock-key']);
+    assert.equal(beet.recorded('injectedCall').length, 1);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('with broadcast off Beet only signs and eosjs pushes the transaction', async () => {
+  const { beet, connection } = await linkedConnection('TLOS');
+  try {
+    const api = connection.chain().inject(new Api(), { sign: true, broadcast: false });
+    const result = await api.transact(transaction);
+
+    assert.deepEqual(result, { pushed: true, signatures: ['mock-signature'] });
+    const [call, payload] = beet.recorded('injectedCall')[0].params;
+    assert.equal(call, 'sign');
+    assert.equal(JSON.parse(payload).serializedTransaction, '010203');
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('injecting again replaces the previous injection instead of wrapping it', async () => {
+  const { beet, connection } = await linkedConnection('EOS');
+  try {
+    const api = new Api();
+    connection.chain().inject(api, { sign: true, broadcast: true });
+    connection.chain().inject(api, { sign: true, broadcast: false });
+    await api.transact(transaction);
+
+    assert.equal(api.transacted.length, 1);
+    assert.deepEqual(beet.recorded('injectedCall').map((request) => request.params[0]), ['sign']);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('a signature response without signatures is rejected', async () => {
+  const { beet, connection } = await linkedConnection('EOS');
+  beet.handle('injectedCall', () => ({}));
+  try {
+    const api = connection.chain().inject(new Api(), { sign: true, broadcast: false });
+    await assert.rejects(api.transact(transaction), InvalidResponseError);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('eosjs is only injected for a linked EOSIO identity and with signing on', async () => {
+  const { connection } = await linkedConnection('BTS');
+  try {
+    assert.throws(() => injectEosjs(connection, new Api()), NotLinkedError);
+  } finally {
+    connection.disconnect();
+  }
+
+  const eos = await linkedConnection('EOS');
+  try {
+    assert.throws(() => injectEosjs(eos.connection, new Api(), { sign: false }), ChainUnsupportedError);
+  } finally {
+    eos.connection.disconnect();
+  }
+});
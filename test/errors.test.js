@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connect, link, NotLinkedError, ChainUnsupportedError } from '../src/index.js';
+import { MockBeet } from '../src/mock/index.js';
+
+test('calls which need a linked identity fail with NotLinkedError', async () => {
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, { transport: new MockBeet().transport });
+  try {
+    await assert.rejects(connection.unlink(), NotLinkedError);
+    await assert.rejects(connection.resync(), NotLinkedError);
+    assert.throws(() => connection.chain(), NotLinkedError);
+    assert.throws(() => connection.chain('BTS').inject({}), NotLinkedError);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('requests a chain can not serve fail with ChainUnsupportedError', async () => {
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, { transport: new MockBeet().transport });
+  try {
+    await assert.rejects(link('DOGE', connection), ChainUnsupportedError);
+    await assert.rejects(connection.link('BTS', ['account', 'keys']), ChainUnsupportedError);
+
+    await link('BTS', connection);
+    assert.throws(
+      () => connection.chain('BTS').inject({ unknown: 'library' }),
+      (error) => error instanceof ChainUnsupportedError && error.details.chain === 'BTS'
+    );
+  } finally {
+    connection.disconnect();
+  }
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, stat, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { connect, link, MemoryIdentityStore, FileIdentityStore, DecryptionError } from '../src/index.js';
+import { MockBeet } from '../src/mock/index.js';
+
+const identity = {
+  apphash: 'apphash',
+  chain: 'BTS',
+  identityhash: 'identityhash',
+  secret: 'a1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90',
+  next_id: 'next-id'
+};
+
+test('identities are encrypted at rest with a passphrase', async () => {
+  const store = new MemoryIdentityStore({ passphrase: 'correct horse' });
+  await store.set(identity);
+
+  assert.ok(!store.raw.includes(identity.secret));
+  assert.deepEqual(await store.get('apphash', 'BTS'), identity);
+  assert.deepEqual(await store.get('apphash'), identity);
+
+  const intruder = new MemoryIdentityStore({ passphrase: 'battery staple' });
+  intruder.raw = store.raw;
+  await assert.rejects(intruder.get('apphash'), DecryptionError);
+
+  const stored = JSON.parse(store.raw);
+  stored.ciphertext = Buffer.from('tampered').toString('base64') + stored.ciphertext.slice(12);
+  store.raw = JSON.stringify(stored);
+  await assert.rejects(store.get('apphash'), DecryptionError);
+});
+
+test('the file store is only readable by its owner', async () => {
+  const directory = await mkdtemp(join(tmpdir(), 'beeteos-'));
+  try {
+    const path = join(directory, 'nested', 'identities.json');
+    const store = new FileIdentityStore({ path });
+    await store.set(identity);
+    await store.set(Object.assign({}, identity, { chain: 'EOS' }));
+    await store.remove('apphash', 'BTS');
+
+    assert.equal((await stat(path)).mode & 0o777, 0o600);
+    assert.deepEqual(Object.keys(JSON.parse(await readFile(path, 'utf8'))), ['apphash:EOS']);
+    assert.equal(await new FileIdentityStore({ path }).get('apphash', 'BTS'), null);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('the stored identity follows the id chain and relinks a later connection', async () => {
+  const beet = new MockBeet();
+  const store = new MemoryIdentityStore({ passphrase: 'correct horse' });
+  const first = await connect('App', 'Chrome', 'localhost', null, null, { transport: beet.transport, store });
+  await link('BTS', first);
+  await first.chain().signMessage('hello');
+  await first.persisting;
+  first.disconnect();
+
+  const stored = await store.get(first.identity.apphash, 'BTS');
+  assert.equal(stored.next_id, first.identity.next_id);
+
+  const second = await connect('App', 'Chrome', 'localhost', null, null, { transport: beet.transport, store });
+  try {
+    assert.equal(second.identity.identityhash, first.identity.identityhash);
+    await link('BTS', second);
+    assert.equal(beet.recorded('relinkRequest').length, 1);
+    assert.ok(await second.chain().signMessage('again'));
+  } finally {
+    second.disconnect();
+  }
+});
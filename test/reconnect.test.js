@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+
+import { connect, link, ConnectionLostError } from '../src/index.js';
+import { MockBeet } from '../src/mock/index.js';
+
+/**
+ * Linked connection to an in-process mock Beet which takes 100ms to answer api prompts
+ */
+async function linkedConnection(reconnect) {
+  const beet = new MockBeet({ delay: (record) => record.type === 'api' ? 100 : 0 });
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, {
+    transport: beet.transport,
+    reconnect: Object.assign({ minDelay: 10, retries: 3 }, reconnect)
+  });
+  await link('BTS', connection);
+  return { beet, connection };
+}
+
+/**
+ * Resolves once an api request reached Beet
+ */
+function received(beet, method) {
+  return new Promise((resolve) => {
+    const poll = () => beet.recorded(method).length ? resolve() : setTimeout(poll, 5);
+    poll();
+  });
+}
+
+test('in-flight requests are rejected when the connection drops, the identity is relinked', async () => {
+  const { beet, connection } = await linkedConnection({});
+  try {
+    const signing = connection.chain().signMessage('hello');
+    await received(beet, 'signMessage');
+    const reconnected = once(connection, 'reconnected');
+    beet.transport.close();
+
+    await assert.rejects(signing, ConnectionLostError);
+    await reconnected;
+    assert.equal(connection.linked, true);
+
+    // the id chain survived, a new request is answered
+    assert.ok(await connection.chain().signMessage('again'));
+    assert.equal(beet.recorded('signMessage').length, 2);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('only the methods allowed by the replay option are resent once relinked', async () => {
+  const { beet, connection } = await linkedConnection({ replay: ['getAccount'] });
+  try {
+    const account = connection.chain().requestAccount();
+    await received(beet, 'getAccount');
+    beet.transport.close();
+
+    assert.deepEqual(await account, { id: '1.2.100', name: 'mock-account' });
+    assert.equal(beet.recorded('getAccount').length, 2);
+
+    const transfer = connection.injectedCall(['signAndBroadcast', '{}', []]);
+    await received(beet, 'injectedCall');
+    beet.transport.close();
+
+    await assert.rejects(transfer, ConnectionLostError);
+    await once(connection, 'reconnected');
+    assert.equal(beet.recorded('injectedCall').length, 1); // never broadcast twice
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('the replay option takes a list of api methods', () => {
+  const beet = new MockBeet();
+  return assert.rejects(connect('App', 'Chrome', 'localhost', null, null, {
+    transport: beet.transport,
+    reconnect: { replay: true }
+  }), /replay option/);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connect, link, MemoryIdentityStore, RequestTimeoutError } from '../src/index.js';
+import { MockBeet } from '../src/mock/index.js';
+
+/**
+ * Memory store whose writes take as long as the test wants
+ */
+class SlowIdentityStore extends MemoryIdentityStore {
+  constructor() {
+    super();
+    this.delay = 0;
+    this.writes = [];
+  }
+
+  async writeRaw(raw) {
+    const write = new Promise((resolve) => setTimeout(resolve, this.delay)).then(() => super.writeRaw(raw));
+    this.writes.push(write);
+    return write;
+  }
+}
+
+test('a request timing out while the identity is being stored is never sent', async () => {
+  const beet = new MockBeet();
+  const url = await beet.start();
+  const store = new SlowIdentityStore();
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, { url, store });
+
+  try {
+    await link('BTS', connection);
+    await connection.persisting;
+
+    store.delay = 200;
+    await assert.rejects(connection.chain().signMessage('too late', { timeout: 50 }), RequestTimeoutError);
+    await Promise.all(store.writes);
+    await connection.persisting;
+
+    assert.equal(beet.recorded('signMessage').length, 0);
+    assert.equal(connection.getState().pendingRequests, 0);
+
+    // the id of the dropped request is used by the next one, which Beet accepts
+    store.delay = 0;
+    const signed = await connection.chain().signMessage('in time');
+    assert.ok(signed);
+    assert.equal(beet.recorded('signMessage').length, 1);
+    assert.equal(connection.getState().pendingRequests, 0);
+  } finally {
+    connection.disconnect();
+    await beet.close();
+  }
+});
+
+test('a request failing before it is sent hands its id back to the id chain', async () => {
+  const beet = new MockBeet();
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, { transport: beet.transport });
+
+  try {
+    await link('BTS', connection);
+    const nextId = connection.identity.next_id;
+
+    await assert.rejects(connection.requestSignature({ amount: 1n }), TypeError); // BigInt is not serializable
+    assert.equal(connection.identity.next_id, nextId);
+    assert.equal(beet.recorded('requestSignature').length, 0);
+
+    assert.ok(await connection.chain().signMessage('in sync'));
+  } finally {
+    connection.disconnect();
+  }
+});
@@ -0,0 +1,177 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+
+import { connect, link, MemoryIdentityStore, RequestTimeoutError, RequestCancelledError } from '../src/index.js';
+import { MockBeet } from '../src/mock/index.js';
+
+/**
+ * In-process Web Locks, each lock is granted to one callback at a time in request order
+ */
+class Locks {
+  constructor() {
+    this.queues = new Map();
+  }
+
+  request(name, options, callback) {
+    return new Promise((resolve, reject) => {
+      const queue = this.queues.get(name) || [];
+      this.queues.set(name, queue);
+      const waiter = {
+        run: async () => {
+          try {
+            resolve(await callback());
+          } catch (error) {
+            reject(error);
+          } finally {
+            queue.shift();
+            if (queue.length) {
+              queue[0].run();
+            }
+          }
+        }
+      };
+      options.signal.addEventListener('abort', () => {
+        const index = queue.indexOf(waiter);
+        if (index > 0) {
+          queue.splice(index, 1);
+          reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+        }
+      });
+      queue.push(waiter);
+      if (queue.length === 1) {
+        waiter.run();
+      }
+    });
+  }
+}
+
+/**
+ * In-process BroadcastChannels, messages reach the other channels asynchronously
+ */
+class Channels {
+  constructor() {
+    this.open = new Set();
+  }
+
+  create() {
+    const channel = {
+      onmessage: null,
+      postMessage: (data) => {
+        for (const other of this.open) {
+          if (other !== channel) {
+            const copy = JSON.parse(JSON.stringify(data));
+            setTimeout(() => other.onmessage && other.onmessage({ data: copy }), 0);
+          }
+        }
+      },
+      close: () => this.open.delete(channel)
+    };
+    this.open.add(channel);
+    return channel;
+  }
+}
+
+/**
+ * Another tab leading the connection, which records the messages of the followers and answers only 'hello'
+ */
+function fakeLeader(channels, state) {
+  const channel = channels.create();
+  const received = [];
+  channel.onmessage = ({ data }) => {
+    received.push(data);
+    if (data.type === 'hello') {
+      channel.postMessage({ tab: 'leader', type: 'state', state });
+    }
+  };
+  return { channel, received };
+}
+
+/**
+ * A follower tab, the lock is held by a tab which never releases it
+ */
+function follow(channels) {
+  const locks = { request: () => new Promise(() => {}) };
+  const share = { locks, createChannel: () => channels.create() };
+  return connect('App', 'Chrome', 'localhost', null, null, { store: new MemoryIdentityStore(), share });
+}
+
+const disconnectedState = { connected: false, authenticated: false, linked: false, identity: null, capabilities: null };
+const connectedState = { connected: true, authenticated: true, linked: false, identity: null, capabilities: null };
+
+test('a follower joins on the first state of the leader, even while the leader is not connected', async () => {
+  const channels = new Channels();
+  const leader = fakeLeader(channels, disconnectedState);
+  const connection = await follow(channels);
+  try {
+    assert.equal(connection.getState().role, 'follower');
+    assert.equal(connection.getState().connected, false);
+
+    const connected = once(connection, 'connected');
+    leader.channel.postMessage({ tab: 'leader', type: 'state', state: connectedState });
+    await connected;
+    assert.equal(connection.getState().connected, true);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('a call forwarded to the leader times out in the follower tab', async () => {
+  const channels = new Channels();
+  const leader = fakeLeader(channels, connectedState);
+  const connection = await follow(channels);
+  try {
+    await assert.rejects(connection.link('BTS', undefined, { timeout: 50 }), RequestTimeoutError);
+    assert.equal(connection.calls.size, 0);
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    const call = leader.received.find((message) => message.type === 'call');
+    const cancel = leader.received.find((message) => message.type === 'cancel');
+    assert.equal(cancel.id, call.id);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('an aborted call rejects at once, without waiting for the leader', async () => {
+  const channels = new Channels();
+  const leader = fakeLeader(channels, connectedState);
+  const connection = await follow(channels);
+  try {
+    const controller = new AbortController();
+    const linking = connection.link('BTS', undefined, { signal: controller.signal });
+    controller.abort('user left');
+    await assert.rejects(linking, (error) => error instanceof RequestCancelledError && error.details.reason === 'user left');
+    assert.equal(connection.calls.size, 0);
+
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.equal(leader.received.find((message) => message.type === 'cancel').reason, 'user left');
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('the requests of a follower run in the leader tab', async () => {
+  const beet = new MockBeet();
+  const channels = new Channels();
+  const store = new MemoryIdentityStore();
+  const share = { locks: new Locks(), createChannel: () => channels.create() };
+  const options = { transport: beet.transport, store, share };
+  const leader = await connect('App', 'Chrome', 'localhost', null, null, options);
+  const follower = await connect('App', 'Chrome', 'localhost', null, null, options);
+  try {
+    assert.equal(leader.getState().role, 'leader');
+    assert.equal(follower.getState().role, 'follower');
+    assert.equal(follower.getState().connected, true);
+
+    await link('BTS', follower);
+    assert.equal(leader.linked, true);
+    assert.ok(await follower.chain().signMessage('from the follower'));
+    assert.ok(await leader.chain().signMessage('from the leader'));
+    assert.equal(beet.recorded('signMessage').length, 2);
+    assert.equal(follower.identity.secret, undefined);
+  } finally {
+    follower.disconnect();
+    leader.disconnect();
+  }
+});
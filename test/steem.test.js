@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { connect, link, NotLinkedError } from '../src/index.js';
+import { isSteemLib, injectSteemLib } from '../src/steem.js';
+import { MockBeet } from '../src/mock/index.js';
+
+/**
+ * Stands in for steem-js: broadcast.send() signs with the given keys, _prepareTransaction() adds the reference block
+ */
+function steemLib() {
+  return {
+    api: {},
+    broadcast: {
+      send() {
+        throw new Error('steem-js signed the transaction itself');
+      },
+      async _prepareTransaction(tx) {
+        return Object.assign({ ref_block_num: 1, ref_block_prefix: 2, expiration: '2026-01-01T00:00:00' }, tx);
+      }
+    }
+  };
+}
+
+const vote = { operations: [['vote', { voter: 'mock-account', author: 'author', permlink: 'post', weight: 10000 }]], extensions: [] };
+
+/**
+ * Connection to an in-process mock Beet linked to the given chain
+ */
+async function linkedConnection(chain) {
+  const beet = new MockBeet();
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, { transport: beet.transport });
+  await link(chain, connection);
+  return { beet, connection };
+}
+
+test('steem-js is recognised by broadcast.send()', () => {
+  assert.equal(isSteemLib(steemLib()), true);
+  assert.equal(isSteemLib({ broadcast: {} }), false);
+  assert.equal(isSteemLib(null), false);
+});
+
+test('broadcast.send() has Beet sign and broadcast the prepared transaction with the authority of the keys', async () => {
+  const { beet, connection } = await linkedConnection('STEEM');
+  try {
+    const steem = connection.chain().inject(steemLib(), { sign: true, broadcast: true });
+    const result = await steem.broadcast.send(vote, { posting: 'inject_wif' });
+
+    const [call, payload, roles] = result.params;
+    assert.equal(call, 'signAndBroadcast');
+    assert.deepEqual(JSON.parse(payload), Object.assign({ ref_block_num: 1, ref_block_prefix: 2, expiration: '2026-01-01T00:00:00' }, vote));
+    assert.deepEqual(roles, ['posting']);
+    assert.equal(beet.recorded('injectedCall').length, 1);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('with broadcast off send() resolves to the signed transaction, also through its callback', async () => {
+  const { connection } = await linkedConnection('STEEM');
+  try {
+    const steem = connection.chain().inject(steemLib(), { sign: true, broadcast: false });
+    const signed = await steem.broadcast.send(vote, { active: 'inject_wif' });
+    assert.deepEqual(signed.signatures, ['mock-signature']);
+    assert.deepEqual(signed.operations, vote.operations);
+    assert.equal(signed.ref_block_num, 1);
+
+    const viaCallback = await new Promise((resolve, reject) => {
+      steem.broadcast.send(vote, { active: 'inject_wif' }, (error, value) => error ? reject(error) : resolve(value));
+    });
+    assert.deepEqual(viaCallback, signed);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('a private key passed to an operation is refused before anything reaches Beet', async () => {
+  const { beet, connection } = await linkedConnection('STEEM');
+  try {
+    const steem = connection.chain().inject(steemLib(), { sign: true, broadcast: true });
+    await assert.rejects(steem.broadcast.send(vote, { posting: '5Kmock-private-key' }), /Do not inject wif/);
+    assert.equal(beet.recorded('injectedCall').length, 0);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('steem-js is only injected for a linked Steem identity', async () => {
+  const { connection } = await linkedConnection('BTS');
+  try {
+    assert.throws(() => injectSteemLib(connection, steemLib()), NotLinkedError);
+  } finally {
+    connection.disconnect();
+  }
+});
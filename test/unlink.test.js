@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+
+import { connect, link, MemoryIdentityStore, IdentityRevokedError } from '../src/index.js';
+import { MockBeet } from '../src/mock/index.js';
+
+/**
+ * Connection linked to an in-process mock Beet, persisting its identity to a memory store
+ */
+async function linkedConnection(options = {}) {
+  const beet = new MockBeet(options);
+  const store = new MemoryIdentityStore();
+  const connection = await connect('App', 'Chrome', 'localhost', null, null, { transport: beet.transport, store });
+  await link('BTS', connection);
+  await connection.persisting;
+  return { beet, store, connection };
+}
+
+test('unlink() makes Beet and the store forget the identity', async () => {
+  const { beet, store, connection } = await linkedConnection();
+  const { identityhash } = connection.identity;
+  try {
+    const unlinked = once(connection, 'unlinked');
+    await connection.unlink();
+
+    const [state] = await unlinked;
+    assert.deepEqual(state.cause, { initiator: 'app', reason: null, identityhash, chain: 'BTS' });
+    assert.equal(connection.identity, null);
+    assert.equal(connection.linked, false);
+    assert.equal(connection.connected, true);
+    assert.equal(beet.identities.has(identityhash), false);
+    assert.deepEqual(await store.list(), []);
+
+    await link('BTS', connection); // a fresh link, Beet prompts again
+    assert.equal(beet.recorded('linkRequest').length, 2);
+  } finally {
+    connection.disconnect();
+  }
+});
+
+test('unlink() with force forgets the identity while Beet is unreachable', async () => {
+  const { store, connection } = await linkedConnection();
+  connection.disconnect();
+
+  await assert.rejects(connection.unlink());
+  assert.equal((await store.list()).length, 1);
+
+  await connection.unlink({ force: true });
+  assert.equal(connection.identity, null);
+  assert.deepEqual(await store.list(), []);
+});
+
+test('an identity revoked in Beet is forgotten and its pending requests are rejected', { timeout: 5000 }, async () => {
+  const { beet, store, connection } = await linkedConnection({ delay: (record) => record.type === 'api' ? 1000 : 0 });
+  const { identityhash } = connection.identity;
+  try {
+    const signing = connection.chain().signMessage('hello');
+    await once(beet, 'request');
+    const unlinked = once(connection, 'unlinked');
+    beet.revoke(identityhash, 'removed by the user');
+
+    const error = await signing.catch((error) => error);
+    assert.ok(error instanceof IdentityRevokedError);
+    assert.equal(error.details.initiator, 'beet');
+
+    const [state] = await unlinked;
+    assert.deepEqual(state.cause, { initiator: 'beet', reason: 'removed by the user', identityhash, chain: 'BTS' });
+    while ((await store.list()).length) {
+      await new Promise((resolve) => setTimeout(resolve, 5)); // the store is cleared after 'unlinked'
+    }
+  } finally {
+    connection.disconnect();
+    await beet.close();
+  }
+});
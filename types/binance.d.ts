@@ -0,0 +1,19 @@
+// Type definitions for the Binance chain entry point of @beetapp/beeteos-js (src/binance.js)
+
+import type { BeetConnection, InjectOptions } from './index.js';
+
+/**
+ * Chains whose apps use a Binance chain client
+ */
+export const binanceChains: string[];
+
+/**
+ * Whether the point of injection looks like a Binance chain client, i.e. has placeOrder()
+ */
+export function isBinanceClient(pointOfInjection: unknown): boolean;
+
+/**
+ * Routes placeOrder(), cancelOrder() and transfer() of the client through the linked connection,
+ * rejects with NotLinkedError when no BNB_TEST identity is linked
+ */
+export function injectBinanceLib<T>(connection: BeetConnection, client: T, options?: InjectOptions): T;
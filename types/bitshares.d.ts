@@ -0,0 +1,30 @@
+// Type definitions for the bitsharesjs entry point of @beetapp/beeteos-js (src/bitshares.js)
+
+import type { BeetConnection, TransactionBuilderInjectOptions, RequestOptions } from './index.js';
+
+/**
+ * Chains whose apps use a bitsharesjs TransactionBuilder
+ */
+export const bitsharesChains: string[];
+
+/**
+ * Whether the point of injection looks like a bitsharesjs TransactionBuilder
+ */
+export function isTransactionBuilder(pointOfInjection: unknown): boolean;
+
+/**
+ * Routes signing and broadcasting of the TransactionBuilder through the linked connection,
+ * rejects with NotLinkedError when it is not linked
+ */
+export function injectTransactionBuilder<T>(connection: BeetConnection, TransactionBuilder: T, options?: TransactionBuilderInjectOptions): T;
+
+/**
+ * Has Beet broadcast a transaction signed elsewhere, given as a TransactionBuilder or its toObject() JSON.
+ * Rejects with NotLinkedError when no BitShares identity is linked, and without a request when the
+ * transaction has no operations, is not finalized or has no signatures. Resolves to Beet's response.
+ */
+export function broadcastTransaction(
+  connection: BeetConnection,
+  transaction: { toObject(): object } | object | string,
+  options?: RequestOptions
+): Promise<unknown>;
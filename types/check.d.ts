@@ -0,0 +1,12 @@
+// Type definitions for the detection entry point of @beetapp/beeteos-js (src/check.js)
+
+export {
+  checkBeet,
+  discoverBeet,
+  defaultEndpointOptions,
+  API_VERSION,
+  supportedApiVersions,
+  BeetError,
+  ProtocolMismatchError,
+  RequestTimeoutError
+} from './index.js';
@@ -0,0 +1,9 @@
+// Type definitions for the beeteos command line of @beetapp/beeteos-js (src/cli)
+
+/**
+ * Runs the beeteos command line, resolves to the exit status
+ */
+export function main(
+  argv: string[],
+  io?: { stdout: { write(chunk: string): unknown }; stderr: { write(chunk: string): unknown } }
+): Promise<number>;
@@ -0,0 +1,19 @@
+// Type definitions for the eosjs entry point of @beetapp/beeteos-js (src/eosio.js)
+
+import type { BeetConnection, EosjsInjectOptions } from './index.js';
+
+/**
+ * Chains whose apps use an eosjs Api
+ */
+export const eosioChains: string[];
+
+/**
+ * Whether the point of injection looks like an eosjs Api instance
+ */
+export function isEosjsApi(pointOfInjection: unknown): boolean;
+
+/**
+ * Routes the signatures, and with broadcast the push, of the Api's transactions through the linked connection,
+ * rejects with NotLinkedError when no EOS, TLOS or BEOS identity is linked
+ */
+export function injectEosjs<T>(connection: BeetConnection, api: T, options?: EosjsInjectOptions): T;
@@ -0,0 +1,678 @@
+// Type definitions for @beetapp/beeteos-js
+// Keep in sync with src/index.js, `npm run types` checks the exports against the JavaScript.
+
+/* Identities */
+
+export interface Account {
+  id: string;
+  name: string;
+  [key: string]: unknown;
+}
+
+/**
+ * Details the user agreed to share when linking, e.g. the account
+ */
+export interface RequestedDetails {
+  account?: Account;
+  [key: string]: unknown;
+}
+
+/**
+ * A linked identity, store it to relink in a later session
+ */
+export interface Identity {
+  apphash: string;
+  identityhash: string;
+  chain: string;
+  appName: string;
+  /** Hex encoded ECDH secret shared with Beet */
+  secret: string;
+  /** Id of the next api request, rotated by every request */
+  next_id: string;
+  /** Public key of Beet pinned when linking, see BeetIdentityChangedError */
+  beetkey?: string;
+  requested: RequestedDetails;
+  account?: Account;
+  [key: string]: unknown;
+}
+
+/**
+ * An identity without its secret, as passed to state listeners
+ */
+export type PublicIdentity = Omit<Identity, 'secret'>;
+
+/* Protocol */
+
+export interface Capabilities {
+  apiversion: number | null;
+  version: string | null;
+  chains: string[] | null;
+  methods: string[] | null;
+  encryption: EncryptionScheme[] | null;
+  /** True when Beet advertised nothing */
+  legacy: boolean;
+}
+
+export type EncryptionScheme = 'legacy' | 'aes-256-gcm';
+
+export const encryptionSchemes: {
+  readonly LEGACY: 'legacy';
+  readonly AES_GCM: 'aes-256-gcm';
+};
+
+export const API_VERSION: number;
+
+export const supportedApiVersions: {
+  min: number;
+  max: number;
+};
+
+/**
+ * Resolved by BeetConnection.connect()
+ */
+export interface AuthToken {
+  id: string;
+  payload: {
+    authenticate: boolean;
+    link: boolean;
+    pub_key?: string;
+    requested?: RequestedDetails;
+    capabilities?: Partial<Capabilities>;
+    [key: string]: unknown;
+  };
+}
+
+/**
+ * Resolved by link() and BeetConnection.link()
+ */
+export interface LinkResponse {
+  id: string;
+  payload: {
+    link: boolean;
+    authenticate: boolean;
+    existing: boolean;
+    identityhash: string;
+    chain: string;
+    requested: RequestedDetails;
+    pub_key?: string;
+    [key: string]: unknown;
+  };
+}
+
+/**
+ * Message signed by Beet in the common beeteos format
+ */
+export interface SignedMessage {
+  signer: string;
+  key: string;
+  message: string;
+  signed: string;
+  [key: string]: unknown;
+}
+
+/* Options */
+
+export interface RequestOptions {
+  /** Milliseconds to wait for a response, 0 waits forever, defaults to BeetConnection.requestTimeout */
+  timeout?: number;
+  /** Cancels the request when aborted */
+  signal?: AbortSignal;
+}
+
+export interface ReconnectOptions {
+  retries?: number;
+  minDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  timeout?: number;
+  /** Api methods resent when in flight once relinked, only idempotent ones, the others are rejected */
+  replay?: string[];
+}
+
+export type TransportOption =
+  | 'socket.io'
+  | 'websocket'
+  | 'postMessage'
+  | ((endpoint: Endpoint, socketOptions: Record<string, unknown>) => Transport)
+  | { createTransport(endpoint: Endpoint, socketOptions: Record<string, unknown>): Transport };
+
+export interface EndpointOptions {
+  host?: string;
+  httpHost?: string;
+  ports?: { https?: number; http?: number };
+  protocols?: Array<'https' | 'http'>;
+  tls?: Record<string, unknown>;
+  socketOptions?: Record<string, unknown>;
+  url?: string | string[] | null;
+  transport?: TransportOption;
+  transportOptions?: Record<string, unknown>;
+}
+
+export interface Endpoint {
+  ssl: boolean;
+  url: string;
+  socketOptions: Record<string, unknown>;
+  transport: TransportOption;
+  transportOptions: Record<string, unknown>;
+  capabilities?: Capabilities;
+}
+
+export const defaultEndpointOptions: Required<EndpointOptions>;
+
+export interface ConnectOptions extends EndpointOptions {
+  reconnect?: boolean | ReconnectOptions;
+  /** Milliseconds to wait for each endpoint to answer, defaults to 3000 */
+  discoveryTimeout?: number;
+  store?: IdentityStore;
+  /** Chain of the identity to read from the store */
+  chain?: string;
+  logger?: LogSink;
+  logLevel?: LogLevel;
+  /** Share one Beet socket between the browser tabs of the app, requires store */
+  share?: boolean | ShareOptions;
+}
+
+export interface ShareOptions {
+  /** Tabs of the same app sharing a name share a connection, defaults to 'beeteos' */
+  name?: string;
+  /** Web Locks implementation, defaults to navigator.locks */
+  locks?: { request(name: string, options: { signal?: AbortSignal }, callback: () => Promise<unknown>): Promise<unknown> };
+  /** Defaults to new BroadcastChannel(name) */
+  createChannel?: (name: string) => {
+    postMessage(message: unknown): void;
+    close(): void;
+    onmessage: ((event: { data: any }) => void) | null;
+  };
+}
+
+/* Discovery */
+
+export interface ProbeResult {
+  endpoint: Endpoint;
+  url: string;
+  reachable: boolean;
+  compatible: boolean;
+  latency: number | null;
+  /** null for plain endpoints */
+  tls: boolean | null;
+  version: string | null;
+  capabilities: Capabilities | null;
+  error: Error | null;
+}
+
+export interface DiscoveryResult {
+  best: ProbeResult | null;
+  results: ProbeResult[];
+}
+
+export function discoverBeet(options?: EndpointOptions & { discoveryTimeout?: number }): Promise<DiscoveryResult>;
+
+/* Logging */
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export const logLevels: LogLevel[];
+
+export interface LogRecord {
+  level: Exclude<LogLevel, 'silent'>;
+  message: string;
+  time: string;
+  id?: string | null;
+  type?: string;
+  [key: string]: unknown;
+}
+
+export type LogSink =
+  | ((record: LogRecord) => void)
+  | Partial<Record<Exclude<LogLevel, 'silent'> | 'log', (message: string, record: LogRecord) => void>>;
+
+export interface Logger {
+  level: LogLevel;
+  debug(message: string, context?: Record<string, unknown>): void;
+  info(message: string, context?: Record<string, unknown>): void;
+  warn(message: string, context?: Record<string, unknown>): void;
+  error(message: string, context?: Record<string, unknown>): void;
+}
+
+/* Events */
+
+export type Unsubscribe = () => void;
+
+declare class EventEmitter<Events extends Record<string, unknown> = Record<string, unknown>> {
+  on<K extends keyof Events & string>(event: K, listener: (data: Events[K]) => void): Unsubscribe;
+  once<K extends keyof Events & string>(event: K, listener: (data: Events[K]) => void): Unsubscribe;
+  off<K extends keyof Events & string>(event: K, listener: (data: Events[K]) => void): void;
+  emit<K extends keyof Events & string>(event: K, data?: Events[K]): void;
+  /** Receives the errors thrown by listeners, silent by default */
+  logger: Logger;
+  listenerError(event: string, error: unknown): void;
+}
+
+export interface ConnectionState {
+  connected: boolean;
+  authenticated: boolean;
+  linked: boolean;
+  reconnecting: boolean;
+  chain: string | null;
+  identity: PublicIdentity | null;
+  pendingRequests: number;
+  /** Connections shared between tabs only: whether this tab owns the Beet socket */
+  role?: 'leader' | 'follower' | null;
+}
+
+export interface UnlinkCause {
+  initiator: 'app' | 'beet';
+  reason: string | null;
+  identityhash: string;
+  chain: string;
+}
+
+export interface BeetConnectionEvents {
+  [event: string]: unknown;
+  connected: ConnectionState;
+  authenticated: ConnectionState;
+  linked: ConnectionState;
+  unlinked: ConnectionState & { cause?: UnlinkCause };
+  identityChanged: PublicIdentity | null;
+  stateChanged: ConnectionState;
+  disconnected: { reason: string };
+  reconnecting: { attempt: number; delay: number };
+  reconnected: { attempt: number };
+  reconnect_failed: { attempts: number; error: Error | undefined };
+  requestSent: { id: string; type: string };
+  requestSettled: { id: string; type: string; status: 'resolved' | 'rejected'; error?: unknown };
+  /** Connections shared between tabs only */
+  roleChanged: { role: 'leader' | 'follower' | null };
+}
+
+/* Injection */
+
+export interface InjectOptions extends RequestOptions {
+  /** Sign through Beet, defaults to true */
+  sign?: boolean;
+  /** Broadcast through Beet, defaults to true */
+  broadcast?: boolean;
+}
+
+export interface TransactionBuilderInjectOptions extends InjectOptions {
+  /** Chain id the signatures of sign-only mode are verified with, unless passed to sign(). Defaults to the BitShares mainnet */
+  chainId?: string;
+}
+
+export interface EosjsInjectOptions extends InjectOptions {
+  /** Public keys Beet signs with, by default Beet picks the keys of the linked account */
+  publicKeys?: string[];
+}
+
+/**
+ * Surface of a bitsharesjs TransactionBuilder once injected: private keys never leave Beet,
+ * add_signer() only accepts the "inject_wif" placeholder unless injected broadcast-only.
+ */
+export interface InjectedTransactionBuilder {
+  signer_public_keys?: string[];
+  signed?: boolean;
+  signatures?: string[];
+  add_signer(private_key: 'inject_wif', public_key?: string): void;
+  /**
+   * Only marks the transaction as signed when signing and broadcasting through Beet, signs with the local keys
+   * of bitsharesjs in broadcast-only mode. In sign-only mode it signs through Beet and resolves to the signed
+   * transaction, rejecting with TransactionMismatchError when Beet signed another transaction or with other keys.
+   */
+  sign(chain_id?: string | null): void | Promise<object>;
+  /** Broadcasts through Beet, signing it too unless injected broadcast-only, resolves to Beet's response */
+  broadcast(was_broadcast_callback?: () => void): Promise<unknown>;
+}
+
+/* Chains */
+
+export type BitSharesChain = 'BTS' | 'BTS_TEST' | 'TUSC';
+export type EosioChain = 'EOS' | 'TLOS' | 'BEOS';
+
+/**
+ * API of a chain on a connection, see BeetConnection.chain(). Its methods throw NotLinkedError
+ * unless an identity of the chain is linked.
+ */
+export interface ChainApi {
+  readonly chain: string;
+  requestAccount(options?: RequestOptions): Promise<Account>;
+  signMessage(text: string, options?: RequestOptions): Promise<SignedMessage>;
+  verifyMessage(signedMessage: SignedMessage | string, options?: RequestOptions): Promise<string>;
+  /** Injects the first library of the chain the point of injection matches, throws for other objects */
+  inject<T>(pointOfInjection: T, options?: InjectOptions): T;
+}
+
+export interface BitSharesChainApi extends ChainApi {
+  /** The account of the linked identity, without asking Beet */
+  getAccount(): Account;
+  signNFT(nft_object: Record<string, unknown>, options?: RequestOptions): Promise<SignedMessage>;
+  /** See broadcastTransaction() of @beetapp/beeteos-js/bitshares */
+  broadcastTransaction(transaction: { toObject(): object } | object | string, options?: RequestOptions): Promise<unknown>;
+  inject<T>(pointOfInjection: T, options?: TransactionBuilderInjectOptions): T;
+  injectTransactionBuilder<T>(TransactionBuilder: T, options?: TransactionBuilderInjectOptions): T;
+}
+
+export interface EosioChainApi extends ChainApi {
+  inject<T>(pointOfInjection: T, options?: EosjsInjectOptions): T;
+  injectEosjs<T>(api: T, options?: EosjsInjectOptions): T;
+}
+
+export interface SteemChainApi extends ChainApi {
+  injectSteemLib<T>(steem: T, options?: InjectOptions): T;
+}
+
+export interface BinanceChainApi extends ChainApi {
+  injectBinanceLib<T>(client: T, options?: InjectOptions): T;
+}
+
+export interface ChainInjection {
+  /** Adds the injection to the chain API under this name */
+  name?: string;
+  matches(pointOfInjection: unknown): boolean;
+  inject<T>(connection: BeetConnection, pointOfInjection: T, options?: InjectOptions): T;
+}
+
+/**
+ * Support of one or more chains, see registerChain()
+ */
+export interface ChainPlugin {
+  /** Symbols of the chains, e.g. ["BTS", "BTS_TEST", "TUSC"] */
+  chains: string[];
+  /** Details an app may request when linking, defaults to ["account"] */
+  requestDetails?: string[];
+  /** Fields added to a newly linked identity from the details Beet returned */
+  identity?(requested: RequestedDetails): Record<string, unknown>;
+  /** Methods of the chain API, called with the connection first */
+  methods?: Record<string, (connection: BeetConnection, ...args: any[]) => unknown>;
+  /** inject() of the chain API uses the first injection matching the point of injection */
+  injections?: ChainInjection[];
+}
+
+/* Connection */
+
+declare class BeetConnection extends EventEmitter<BeetConnectionEvents> {
+  constructor(appName: string, appHash: string, browser: string, origin: string, identity: Identity | null);
+
+  appName: string;
+  appHash: string;
+  browser: string;
+  origin: string;
+  identity: Identity | null;
+  connected: boolean;
+  authenticated: boolean;
+  linked: boolean;
+  reconnecting: boolean;
+  /** Default milliseconds to wait for a beeteos response, 0 waits forever */
+  requestTimeout: number;
+  capabilities: Capabilities | null;
+  endpoint: Endpoint | null;
+  reconnectOptions: Required<ReconnectOptions> | null;
+  idChainError: IdChainMismatchError | null;
+  identityStore: IdentityStore | null;
+  /** Settles once the identity was last written to the identity store */
+  persisting: Promise<void>;
+
+  connect(identity?: Identity | null, endpoint?: Endpoint | boolean, port?: number | null, timeout?: number): Promise<AuthToken>;
+  disconnect(): void;
+  reset(): void;
+  link(chain?: string, requestDetails?: string[], options?: RequestOptions): Promise<LinkResponse>;
+  unlink(options?: RequestOptions & { force?: boolean }): Promise<void>;
+  resync(options?: RequestOptions): Promise<LinkResponse>;
+  setAuth(authToken: AuthToken): void;
+  trustBeetKey(pubKey: string): void;
+
+  enableReconnect(options?: ReconnectOptions | boolean): void;
+  setIdentityStore(store: IdentityStore | null): void;
+  setLogger(sink: LogSink | null, level?: LogLevel): void;
+
+  getState(): ConnectionState;
+  subscribe(listener: (state: ConnectionState) => void): Unsubscribe;
+
+  supportsMethod(method: string): boolean;
+  supportsChain(chain: string): boolean;
+  sendRequest(type: string, payload: unknown, options?: RequestOptions): Promise<unknown>;
+
+  /** API of a chain, by default the chain of the linked identity; throws ChainUnsupportedError for unregistered chains */
+  chain(chain: BitSharesChain): BitSharesChainApi;
+  chain(chain: EosioChain): EosioChainApi;
+  chain(chain: 'STEEM'): SteemChainApi;
+  chain(chain: 'BNB_TEST'): BinanceChainApi;
+  chain(chain?: string): ChainApi & { [method: string]: unknown };
+
+  requestSignature(payload: unknown, options?: RequestOptions): Promise<string>;
+  injectedCall(payload: unknown, options?: RequestOptions): Promise<string>;
+
+  /** @deprecated Use chain().inject() */
+  inject<T>(pointOfInjection: T, options?: TransactionBuilderInjectOptions | EosjsInjectOptions): T;
+  /** @deprecated Use chain('BTS').injectTransactionBuilder() */
+  injectTransactionBuilder<T>(TransactionBuilder: T, options: TransactionBuilderInjectOptions): T;
+  /** @deprecated Use chain('BTS').getAccount() */
+  getAccount(): Account;
+  /** @deprecated Use chain().requestAccount() */
+  requestAccount(options?: RequestOptions): Promise<Account>;
+  /** @deprecated Use chain().signMessage() */
+  signMessage(text: string, options?: RequestOptions): Promise<SignedMessage>;
+  /** @deprecated Use chain('BTS').signNFT() */
+  signNFT(nft_object: Record<string, unknown>, options?: RequestOptions): Promise<SignedMessage>;
+  /** @deprecated Use chain().verifyMessage() */
+  verifyMessage(signedMessage: SignedMessage | string, options?: RequestOptions): Promise<string>;
+}
+
+export type { BeetConnection };
+
+export function connect(
+  appName: string,
+  browser: string,
+  origin: string,
+  existingBeetConnection?: BeetConnection | null,
+  identity?: Identity | null,
+  options?: ConnectOptions
+): Promise<BeetConnection>;
+
+export function link(chain: string | undefined, beetConnection: BeetConnection, options?: RequestOptions): Promise<LinkResponse>;
+
+export function trustBeetKey(identity: Identity, pubKey: string): Identity;
+
+/**
+ * Adds (or replaces) the support of the plugin's chains: they can be linked and BeetConnection.chain() returns their API
+ */
+export function registerChain(plugin: ChainPlugin): void;
+
+/** Symbols of the registered chains */
+export function registeredChains(): string[];
+
+export function checkBeet(enableSSL?: boolean, port?: number | null, options?: ConnectOptions): Promise<Capabilities | false>;
+export function checkBeet(options: ConnectOptions): Promise<Capabilities | false>;
+
+/* Transports */
+
+export declare class Transport extends EventEmitter {
+  connected: boolean;
+  send(event: string, data?: unknown): void;
+  write(event: string, data?: unknown): void;
+  disconnect(): void;
+  opened(): void;
+  closed(reason: string): void;
+}
+
+export declare class SocketIOTransport extends Transport {
+  constructor(endpoint: Endpoint, socketOptions?: Record<string, unknown>);
+}
+
+export declare class WebSocketTransport extends Transport {
+  constructor(endpoint: Pick<Endpoint, 'url'>, options?: { WebSocket?: unknown; protocols?: string | string[] });
+}
+
+export declare class PostMessageTransport extends Transport {
+  constructor(endpoint: unknown, options?: { target?: Window; source?: Window; origin?: string; channel?: string });
+}
+
+export declare class MemoryServer extends EventEmitter<{ connection: Transport }> {
+  sockets: Transport[];
+  createTransport(): Transport;
+  close(): void;
+}
+
+/* Identity stores */
+
+export interface IdentityStoreOptions {
+  /** Encrypt the stored identities with this passphrase */
+  passphrase?: string;
+}
+
+export declare abstract class IdentityStore {
+  constructor(options?: IdentityStoreOptions);
+  static key(apphash: string, chain: string): string;
+  abstract readRaw(): Promise<string | null>;
+  abstract writeRaw(raw: string): Promise<void>;
+  load(): Promise<Record<string, Identity>>;
+  save(identities: Record<string, Identity>): Promise<void>;
+  transaction<T>(update: (identities: Record<string, Identity>) => T | Promise<T>): Promise<T>;
+  get(apphash: string, chain?: string | null): Promise<Identity | null>;
+  list(): Promise<Identity[]>;
+  set(identity: Identity): Promise<void>;
+  remove(apphash: string, chain: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export declare class MemoryIdentityStore extends IdentityStore {
+  readRaw(): Promise<string | null>;
+  writeRaw(raw: string): Promise<void>;
+}
+
+export declare class LocalStorageIdentityStore extends IdentityStore {
+  constructor(options?: IdentityStoreOptions & { key?: string; storage?: Storage });
+  readRaw(): Promise<string | null>;
+  writeRaw(raw: string): Promise<void>;
+}
+
+export declare class IndexedDBIdentityStore extends IdentityStore {
+  constructor(options?: IdentityStoreOptions & { database?: string; objectStore?: string; indexedDB?: IDBFactory });
+  readRaw(): Promise<string | null>;
+  writeRaw(raw: string): Promise<void>;
+}
+
+export declare class FileIdentityStore extends IdentityStore {
+  constructor(options: IdentityStoreOptions & { path: string });
+  readRaw(): Promise<string | null>;
+  writeRaw(raw: string): Promise<void>;
+}
+
+/* Errors */
+
+export type BeetErrorCode =
+  | 'OFFLINE'
+  | 'NOT_CONNECTED'
+  | 'NOT_LINKED'
+  | 'USER_REJECTED'
+  | 'REQUEST_FAILED'
+  | 'INVALID_RESPONSE'
+  | 'TIMEOUT'
+  | 'CANCELLED'
+  | 'CONNECTION_LOST'
+  | 'PROTOCOL_MISMATCH'
+  | 'UNSUPPORTED_METHOD'
+  | 'CHAIN_UNSUPPORTED'
+  | 'ID_MISMATCH'
+  | 'DECRYPTION_FAILED'
+  | 'BEET_IDENTITY_CHANGED'
+  | 'IDENTITY_REVOKED'
+  | 'TRANSACTION_MISMATCH';
+
+export declare class BeetError<Details = Record<string, unknown>> extends Error {
+  constructor(message: string, code: string, details?: Details);
+  code: BeetErrorCode | string;
+  details: Details;
+}
+
+export declare class BeetOfflineError extends BeetError<{ reason: string | null; results?: ProbeResult[]; url?: string }> {
+  constructor(reason?: string | null, details?: Record<string, unknown>);
+  code: 'OFFLINE';
+}
+
+export declare class NotConnectedError extends BeetError<{}> {
+  constructor(message?: string);
+  code: 'NOT_CONNECTED';
+}
+
+export declare class NotLinkedError extends BeetError<{}> {
+  constructor(message?: string);
+  code: 'NOT_LINKED';
+}
+
+export declare class UserRejectedError extends BeetError<{ type: string; id: string | null; message: string | null }> {
+  constructor(type: string, id: string | null, message?: string | null);
+  code: 'USER_REJECTED';
+}
+
+export declare class BeetRequestError extends BeetError<{ type: string; id: string | null; beetCode: number | null; message: string | null }> {
+  constructor(type: string, id: string | null, beetCode: number | null, message?: string | null);
+  code: 'REQUEST_FAILED';
+}
+
+export declare class InvalidResponseError extends BeetError<{ type: string; id: string | null; reason: string }> {
+  constructor(type: string, id: string | null, reason: string);
+  code: 'INVALID_RESPONSE';
+}
+
+export declare class RequestTimeoutError extends BeetError<{ type: string; id: string | null; timeout: number }> {
+  constructor(type: string, id: string | null, timeout: number);
+  code: 'TIMEOUT';
+}
+
+export declare class RequestCancelledError extends BeetError<{ type: string; id: string | null; reason: unknown }> {
+  constructor(type: string, id: string | null, reason?: unknown);
+  code: 'CANCELLED';
+}
+
+export declare class ConnectionLostError extends BeetError<{ reason: string; type: string | null; id: string | null }> {
+  constructor(reason: string, type?: string | null, id?: string | null);
+  code: 'CONNECTION_LOST';
+}
+
+export declare class ProtocolMismatchError extends BeetError<{ beetApiVersion: number }> {
+  constructor(message: string, beetApiVersion: number);
+  code: 'PROTOCOL_MISMATCH';
+}
+
+export declare class UnsupportedMethodError extends BeetError<{ method: string }> {
+  constructor(method: string);
+  code: 'UNSUPPORTED_METHOD';
+}
+
+export declare class ChainUnsupportedError extends BeetError<{ chain: string }> {
+  constructor(chain: string, message?: string);
+  code: 'CHAIN_UNSUPPORTED';
+}
+
+export declare class IdChainMismatchError extends BeetError<{}> {
+  constructor(message?: string);
+  code: 'ID_MISMATCH';
+}
+
+export declare class DecryptionError extends BeetError<{ id: string | null; reason: string }> {
+  constructor(id: string | null, reason: string, subject?: string);
+  code: 'DECRYPTION_FAILED';
+}
+
+export declare class BeetIdentityChangedError extends BeetError<{ expected: string; received: string }> {
+  constructor(expected: string, received: string);
+  code: 'BEET_IDENTITY_CHANGED';
+}
+
+export declare class IdentityRevokedError extends BeetError<{ identityhash: string | null; initiator: 'app' | 'beet'; reason: string | null }> {
+  constructor(identityhash: string | null, initiator: 'app' | 'beet', reason?: string | null);
+  code: 'IDENTITY_REVOKED';
+}
+
+export declare class TransactionMismatchError extends BeetError<{
+  reason: string;
+  /** Fields of the signed transaction which differ from the transaction built, e.g. "operations[0][1].fee.amount: expected 100, received 200" */
+  differences?: string[];
+  /** Expected public keys without a signature */
+  missing?: string[];
+  /** Public keys of the signatures which were not expected, null when a signature could not be read */
+  unexpected?: Array<string | null>;
+}> {
+  constructor(reason: string, details?: { differences?: string[]; missing?: string[]; unexpected?: Array<string | null> });
+  code: 'TRANSACTION_MISMATCH';
+}
@@ -0,0 +1,73 @@
+// Type definitions for the mock Beet server of @beetapp/beeteos-js (src/mock)
+
+import type { EncryptionScheme, Account, Capabilities, MemoryServer } from './index.js';
+
+export interface MockRequest {
+  type: string;
+  id: string | null;
+  time: number;
+  outcome: 'approved' | 'rejected' | 'failed' | 'dismissed' | 'closed' | null;
+  method?: string;
+  params?: unknown;
+  chain?: string;
+  identityhash?: string;
+  error?: { code: number; message: string };
+  [key: string]: unknown;
+}
+
+export interface MockIdentity {
+  identityhash: string;
+  chain: string;
+  secret: string;
+  next_hash: string;
+  requested: { account: Account };
+  appName?: string;
+  origin?: string;
+  browser?: string;
+}
+
+export interface MockBeetOptions {
+  host?: string;
+  port?: number;
+  version?: string;
+  apiversion?: number;
+  chains?: string[];
+  encryption?: EncryptionScheme[];
+  legacy?: boolean;
+  account?: Account;
+  approve?: boolean | ((request: MockRequest) => boolean | Promise<boolean>);
+  delay?: number | ((request: MockRequest) => number | Promise<number>);
+}
+
+export type MockHandler = (context: {
+  method: string;
+  params: unknown;
+  identity: MockIdentity;
+  request: MockRequest;
+  beet: MockBeet;
+}) => unknown;
+
+export const defaultMockOptions: Required<MockBeetOptions>;
+
+export declare class MockBeet {
+  constructor(options?: MockBeetOptions);
+  options: Required<MockBeetOptions>;
+  identities: Map<string, MockIdentity>;
+  requests: MockRequest[];
+  /** Pass as the transport option of connect() to connect in-process */
+  transport: MemoryServer;
+  url: string | null;
+  pubKey: string | null;
+
+  start(): Promise<string>;
+  close(): Promise<void>;
+  handle(method: string, handler: MockHandler): void;
+  capabilities(): Omit<Capabilities, 'legacy'> | null;
+  revoke(identityhash: string, reason?: string): void;
+  recorded(typeOrMethod?: string | null): MockRequest[];
+  clearRecorded(): void;
+
+  on(event: 'request' | 'response', listener: (request: MockRequest) => void): () => void;
+  once(event: 'request' | 'response', listener: (request: MockRequest) => void): () => void;
+  off(event: 'request' | 'response', listener: (request: MockRequest) => void): void;
+}
@@ -0,0 +1,19 @@
+// Type definitions for the steem-js entry point of @beetapp/beeteos-js (src/steem.js)
+
+import type { BeetConnection, InjectOptions } from './index.js';
+
+/**
+ * Chains whose apps use steem-js
+ */
+export const steemChains: string[];
+
+/**
+ * Whether the point of injection looks like steem-js, i.e. has broadcast.send()
+ */
+export function isSteemLib(pointOfInjection: unknown): boolean;
+
+/**
+ * Routes steem.broadcast operations through the linked connection, rejects with NotLinkedError
+ * when no STEEM identity is linked
+ */
+export function injectSteemLib<T>(connection: BeetConnection, steem: T, options?: InjectOptions): T;
@@ -0,0 +1,67 @@
+// Fails to compile when the declarations drift from the JavaScript they describe
+
+import type * as declared from '../index.js';
+import type * as declaredMock from '../mock.js';
+import type * as declaredCli from '../cli.js';
+import type * as declaredCheck from '../check.js';
+import type * as declaredBitshares from '../bitshares.js';
+import type * as declaredEosio from '../eosio.js';
+import type * as declaredSteem from '../steem.js';
+import type * as declaredBinance from '../binance.js';
+import type { BeetConnection } from '../index.js';
+
+type Runtime = typeof import('../../src/index.js');
+type RuntimeMock = typeof import('../../src/mock/index.js');
+type RuntimeCli = typeof import('../../src/cli/index.js');
+type RuntimeCheck = typeof import('../../src/check.js');
+type RuntimeBitshares = typeof import('../../src/bitshares.js');
+type RuntimeEosio = typeof import('../../src/eosio.js');
+type RuntimeSteem = typeof import('../../src/steem.js');
+type RuntimeBinance = typeof import('../../src/binance.js');
+type RuntimeConnection = InstanceType<typeof import('../../src/lib/BeetConnection.js').default>;
+
+/**
+ * Members of BeetConnection which are implementation details and deliberately left undeclared
+ */
+type InternalMembers =
+  | 'id'
+  | 'next_identification'
+  | 'otp'
+  | 'secret'
+  | 'beetkey'
+  | 'socket'
+  | 'requests'
+  | 'apiQueue'
+  | 'unsubscribeStore'
+  | 'listeners'
+  | 'persistIdentity'
+  | 'updateState'
+  | 'fetch_ids'
+  | 'queueRequest'
+  | 'prepareRequest'
+  | 'emitRequest'
+  | 'payloadKeys'
+  | 'removeRequest'
+  | 'abandonRequest'
+  | 'revokeIdentity'
+  | 'verifyBeetKey'
+  | 'reconnect'
+  | 'replayRequest'
+  | 'failRequests'
+  | 'prepareQueuedRequest'
+  | 'rewindId';
+
+type Same<A, B> = [Exclude<A, B>, Exclude<B, A>] extends [never, never] ? true : [Exclude<A, B>, Exclude<B, A>];
+
+const indexExports: Same<keyof Runtime, keyof typeof declared> = true;
+const mockExports: Same<keyof RuntimeMock, keyof typeof declaredMock> = true;
+const cliExports: Same<keyof RuntimeCli, keyof typeof declaredCli> = true;
+const checkExports: Same<keyof RuntimeCheck, keyof typeof declaredCheck> = true;
+const bitsharesExports: Same<keyof RuntimeBitshares, keyof typeof declaredBitshares> = true;
+const eosioExports: Same<keyof RuntimeEosio, keyof typeof declaredEosio> = true;
+const steemExports: Same<keyof RuntimeSteem, keyof typeof declaredSteem> = true;
+const binanceExports: Same<keyof RuntimeBinance, keyof typeof declaredBinance> = true;
+const connectionMembers: Same<Exclude<keyof RuntimeConnection, InternalMembers>, keyof BeetConnection> = true;
+
+export { indexExports, mockExports, cliExports, checkExports, bitsharesExports, eosioExports, steemExports, binanceExports,
+  connectionMembers };
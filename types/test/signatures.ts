@@ -0,0 +1,156 @@
+// Fails to compile when the signatures of the public API change, exports.ts only compares the names
+
+import type {
+  connect,
+  link,
+  trustBeetKey,
+  registerChain,
+  registeredChains,
+  checkBeet,
+  BeetConnection,
+  Identity,
+  Endpoint,
+  AuthToken,
+  ConnectOptions,
+  RequestOptions,
+  InjectOptions,
+  TransactionBuilderInjectOptions,
+  EosjsInjectOptions,
+  LinkResponse,
+  Account,
+  SignedMessage,
+  Capabilities,
+  ChainPlugin,
+  ChainApi,
+  BitSharesChainApi,
+  EosioChainApi,
+  SteemChainApi,
+  BinanceChainApi,
+  BeetError,
+  NotConnectedError,
+  NotLinkedError,
+  UserRejectedError,
+  BeetRequestError,
+  InvalidResponseError,
+  RequestTimeoutError,
+  RequestCancelledError,
+  ConnectionLostError,
+  ProtocolMismatchError,
+  UnsupportedMethodError,
+  ChainUnsupportedError,
+  IdChainMismatchError,
+  DecryptionError,
+  BeetIdentityChangedError,
+  IdentityRevokedError,
+  TransactionMismatchError
+} from '../index.js';
+
+type Runtime = typeof import('../../src/index.js');
+
+/**
+ * true when A and B are the same type, rather than merely assignable to each other
+ */
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : [A, B];
+
+/**
+ * The declared and the JavaScript function take the same number of arguments
+ */
+type SameArity<Declared extends (...args: any) => any, Implemented extends (...args: any) => any> =
+  Equal<Required<Parameters<Declared>>['length'], Required<Parameters<Implemented>>['length']>;
+
+/* Functions */
+
+const connectArguments: Equal<Parameters<typeof connect>, [
+  appName: string,
+  browser: string,
+  origin: string,
+  existingBeetConnection?: BeetConnection | null,
+  identity?: Identity | null,
+  options?: ConnectOptions
+]> = true;
+const connectResult: Equal<ReturnType<typeof connect>, Promise<BeetConnection>> = true;
+const connectArity: SameArity<typeof connect, Runtime['connect']> = true;
+
+const linkArguments: Equal<Parameters<typeof link>, [chain: string | undefined, beetConnection: BeetConnection, options?: RequestOptions]> = true;
+const linkResult: Equal<ReturnType<typeof link>, Promise<LinkResponse>> = true;
+const linkArity: SameArity<typeof link, Runtime['link']> = true;
+
+const trustBeetKeyArguments: Equal<Parameters<typeof trustBeetKey>, [identity: Identity, pubKey: string]> = true;
+const trustBeetKeyResult: Equal<ReturnType<typeof trustBeetKey>, Identity> = true;
+const trustBeetKeyArity: SameArity<typeof trustBeetKey, Runtime['trustBeetKey']> = true;
+
+const registerChainArguments: Equal<Parameters<typeof registerChain>, [plugin: ChainPlugin]> = true;
+const registerChainResult: Equal<ReturnType<typeof registerChain>, void> = true;
+const registeredChainsResult: Equal<ReturnType<typeof registeredChains>, string[]> = true;
+
+const checkBeetResult: Equal<ReturnType<typeof checkBeet>, Promise<Capabilities | false>> = true;
+
+/* Connection */
+
+const connectionConnect: Equal<Parameters<BeetConnection['connect']>,
+  [identity?: Identity | null, endpoint?: Endpoint | boolean, port?: number | null, timeout?: number]> = true;
+const connectionConnectResult: Equal<ReturnType<BeetConnection['connect']>, Promise<AuthToken>> = true;
+const connectionLink: Equal<Parameters<BeetConnection['link']>, [chain?: string, requestDetails?: string[], options?: RequestOptions]> = true;
+const connectionLinkResult: Equal<ReturnType<BeetConnection['link']>, Promise<LinkResponse>> = true;
+const connectionResync: Equal<ReturnType<BeetConnection['resync']>, Promise<LinkResponse>> = true;
+const connectionUnlink: Equal<ReturnType<BeetConnection['unlink']>, Promise<void>> = true;
+const connectionChain: Equal<ReturnType<BeetConnection['chain']>, ChainApi & { [method: string]: unknown }> = true;
+declare const connection: BeetConnection;
+const bitsharesApi = connection.chain('BTS');
+const bitsharesChain: Equal<typeof bitsharesApi, BitSharesChainApi> = true;
+
+/* Chain APIs */
+
+const requestAccount: Equal<ChainApi['requestAccount'], (options?: RequestOptions) => Promise<Account>> = true;
+const signMessage: Equal<ChainApi['signMessage'], (text: string, options?: RequestOptions) => Promise<SignedMessage>> = true;
+const verifyMessage: Equal<ChainApi['verifyMessage'],
+  (signedMessage: SignedMessage | string, options?: RequestOptions) => Promise<string>> = true;
+const inject: Equal<ChainApi['inject'], <T>(pointOfInjection: T, options?: InjectOptions) => T> = true;
+
+const getAccount: Equal<BitSharesChainApi['getAccount'], () => Account> = true;
+const signNFT: Equal<BitSharesChainApi['signNFT'],
+  (nft_object: Record<string, unknown>, options?: RequestOptions) => Promise<SignedMessage>> = true;
+const broadcastTransaction: Equal<Parameters<BitSharesChainApi['broadcastTransaction']>[1], RequestOptions | undefined> = true;
+const injectTransactionBuilder: Equal<BitSharesChainApi['injectTransactionBuilder'],
+  <T>(TransactionBuilder: T, options?: TransactionBuilderInjectOptions) => T> = true;
+const injectEosjs: Equal<EosioChainApi['injectEosjs'], <T>(api: T, options?: EosjsInjectOptions) => T> = true;
+const injectSteemLib: Equal<SteemChainApi['injectSteemLib'], <T>(steem: T, options?: InjectOptions) => T> = true;
+const injectBinanceLib: Equal<BinanceChainApi['injectBinanceLib'], <T>(client: T, options?: InjectOptions) => T> = true;
+
+/* Errors */
+
+const beetError: Equal<ConstructorParameters<typeof BeetError>, [message: string, code: string, details?: unknown]> = true;
+const notConnected: Equal<ConstructorParameters<typeof NotConnectedError>, [message?: string]> = true;
+const notLinked: Equal<ConstructorParameters<typeof NotLinkedError>, [message?: string]> = true;
+const userRejected: Equal<ConstructorParameters<typeof UserRejectedError>, [type: string, id: string | null, message?: string | null]> = true;
+const userRejectedDetails: Equal<UserRejectedError['details'], { type: string; id: string | null; message: string | null }> = true;
+const requestFailed: Equal<ConstructorParameters<typeof BeetRequestError>,
+  [type: string, id: string | null, beetCode: number | null, message?: string | null]> = true;
+const invalidResponse: Equal<ConstructorParameters<typeof InvalidResponseError>, [type: string, id: string | null, reason: string]> = true;
+const requestTimeout: Equal<ConstructorParameters<typeof RequestTimeoutError>, [type: string, id: string | null, timeout: number]> = true;
+const requestTimeoutDetails: Equal<RequestTimeoutError['details'], { type: string; id: string | null; timeout: number }> = true;
+const requestCancelled: Equal<ConstructorParameters<typeof RequestCancelledError>, [type: string, id: string | null, reason?: unknown]> = true;
+const connectionLost: Equal<ConstructorParameters<typeof ConnectionLostError>, [reason: string, type?: string | null, id?: string | null]> = true;
+const protocolMismatch: Equal<ConstructorParameters<typeof ProtocolMismatchError>, [message: string, beetApiVersion: number]> = true;
+const unsupportedMethod: Equal<ConstructorParameters<typeof UnsupportedMethodError>, [method: string]> = true;
+const chainUnsupported: Equal<ConstructorParameters<typeof ChainUnsupportedError>, [chain: string, message?: string]> = true;
+const chainUnsupportedDetails: Equal<ChainUnsupportedError['details'], { chain: string }> = true;
+const idChainMismatch: Equal<ConstructorParameters<typeof IdChainMismatchError>, [message?: string]> = true;
+const decryption: Equal<ConstructorParameters<typeof DecryptionError>, [id: string | null, reason: string, subject?: string]> = true;
+const identityChanged: Equal<ConstructorParameters<typeof BeetIdentityChangedError>, [expected: string, received: string]> = true;
+const identityRevoked: Equal<ConstructorParameters<typeof IdentityRevokedError>,
+  [identityhash: string | null, initiator: 'app' | 'beet', reason?: string | null]> = true;
+const transactionMismatch: Equal<ConstructorParameters<typeof TransactionMismatchError>[0], string> = true;
+const errorCodes: Equal<[
+  NotConnectedError['code'], NotLinkedError['code'], RequestTimeoutError['code'], ChainUnsupportedError['code'], TransactionMismatchError['code']
+], ['NOT_CONNECTED', 'NOT_LINKED', 'TIMEOUT', 'CHAIN_UNSUPPORTED', 'TRANSACTION_MISMATCH']> = true;
+
+export {
+  connectArguments, connectResult, connectArity, linkArguments, linkResult, linkArity, trustBeetKeyArguments, trustBeetKeyResult,
+  trustBeetKeyArity, registerChainArguments, registerChainResult, registeredChainsResult, checkBeetResult,
+  connectionConnect, connectionConnectResult, connectionLink, connectionLinkResult, connectionResync, connectionUnlink, connectionChain,
+  bitsharesChain, requestAccount, signMessage, verifyMessage, inject, getAccount, signNFT, broadcastTransaction, injectTransactionBuilder,
+  injectEosjs, injectSteemLib, injectBinanceLib, beetError, notConnected, notLinked, userRejected, userRejectedDetails, requestFailed,
+  invalidResponse, requestTimeout, requestTimeoutDetails, requestCancelled, connectionLost, protocolMismatch, unsupportedMethod,
+  chainUnsupported, chainUnsupportedDetails, idChainMismatch, decryption, identityChanged, identityRevoked, transactionMismatch, errorCodes
+};
@@ -0,0 +1,108 @@
+// Typical usage, checked against the declarations
+
+import {
+  connect,
+  link,
+  checkBeet,
+  trustBeetKey,
+  registerChain,
+  registeredChains,
+  discoverBeet,
+  MemoryIdentityStore,
+  LocalStorageIdentityStore,
+  BeetError,
+  UserRejectedError,
+  BeetIdentityChangedError,
+  type BeetConnection,
+  type Identity,
+  type SignedMessage,
+  type ConnectionState,
+  type InjectedTransactionBuilder
+} from '../index.js';
+import { MockBeet } from '../mock.js';
+
+declare class TransactionBuilder implements InjectedTransactionBuilder {
+  add_type_operation(name: string, operation: object): void;
+  add_signer(private_key: 'inject_wif', public_key?: string): void;
+  sign(chain_id?: string | null): void;
+  broadcast(callback?: () => void): Promise<unknown>;
+}
+
+async function usage(identity: Identity | null): Promise<void> {
+  const beet = new MockBeet({ approve: (request) => request.method !== 'injectedCall', delay: 10 });
+  const url: string = await beet.start();
+
+  const capabilities = await checkBeet({ url });
+  if (capabilities) {
+    const version: string | null = capabilities.version;
+  }
+  const { best } = await discoverBeet({ url, discoveryTimeout: 1000 });
+
+  let connection: BeetConnection;
+  try {
+    connection = await connect('App', 'Chrome', 'example.com', null, identity, {
+      url,
+      store: new MemoryIdentityStore({ passphrase: 'secret' }),
+      reconnect: { retries: 3 },
+      logger: console,
+      logLevel: 'debug'
+    });
+  } catch (error) {
+    if (error instanceof BeetIdentityChangedError && identity) {
+      identity = trustBeetKey(identity, error.details.received);
+    }
+    return;
+  }
+
+  const unsubscribe = connection.subscribe((state: ConnectionState) => state.linked);
+  connection.on('unlinked', (state) => state.cause && state.cause.initiator);
+  connection.on('requestSettled', ({ status, error }) => status === 'rejected' && error);
+  connection.on('roleChanged', ({ role }) => role === 'leader');
+  unsubscribe();
+
+  const shared = await connect('App', 'Chrome', 'example.com', null, null, {
+    store: new LocalStorageIdentityStore(),
+    share: { name: 'my-app' }
+  });
+  const role = shared.getState().role;
+  shared.disconnect();
+
+  const linked = await link('BTS', connection, { timeout: 60000 });
+  const identityhash: string = linked.payload.identityhash;
+
+  try {
+    const bitshares = connection.chain('BTS');
+    const signed: SignedMessage = await bitshares.signMessage('hello', { signal: new AbortController().signal });
+    await bitshares.verifyMessage(signed);
+    const account = await connection.chain().requestAccount();
+    const name: string = account.name;
+    const id: string = bitshares.getAccount().id;
+  } catch (error) {
+    if (error instanceof UserRejectedError) {
+      const type: string = error.details.type;
+    } else if (error instanceof BeetError && error.code === 'TIMEOUT') {
+      await connection.resync();
+    }
+  }
+
+  const Builder = connection.chain('BTS').inject(TransactionBuilder, { sign: true, broadcast: true });
+  const tr = new Builder();
+  tr.add_type_operation('transfer', {});
+  tr.add_signer('inject_wif');
+  await tr.broadcast();
+
+  registerChain({
+    chains: ['HIVE'],
+    identity: (requested) => ({ account: requested.account }),
+    methods: { ping: (beetConnection: BeetConnection, text: string) => beetConnection.injectedCall(['ping', text]) }
+  });
+  const chains: string[] = registeredChains();
+  connection.chain('HIVE').ping;
+
+  await connection.unlink({ force: true });
+  connection.disconnect();
+  beet.recorded('signMessage').map((request) => request.outcome);
+  await beet.close();
+}
+
+export { usage };
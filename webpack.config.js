@@ -1,16 +1,77 @@
 import path from 'path';
+import fs from 'fs';
+import TerserPlugin from 'terser-webpack-plugin';
 
-const config = {
-    mode: "production",
-    output: {
-      path: path.resolve('./dist'),
-      filename: 'beeteos-js.js',
-    },
-    optimization: {
-      minimize: true,
-      minimizer: [() => ({ terserOptions: { mangle: false } })]
-    },
-    profile: true
+const pkg = JSON.parse(fs.readFileSync('./package.json', 'utf8'));
+
+// Left to the consumer's node_modules in the CommonJS build, bundled in the UMD build
+const dependencies = Object.keys(pkg.dependencies).concat(Object.keys(pkg.peerDependencies || {}));
+
+/**
+ * Entry points, also published as subpaths of the package (see "exports" in package.json).
+ * The ESM build is the source itself, so only the CommonJS and UMD builds are bundled.
+ */
+const entries = {
+  index: './src/index.js', // Connection, linking and api requests
+  check: './src/check.js', // checkBeet and discovery only, without the key exchange and encryption code
+  bitshares: './src/bitshares.js', // bitsharesjs TransactionBuilder injection
+  eosio: './src/eosio.js', // eosjs Api injection for EOS, TLOS and BEOS
+  steem: './src/steem.js', // steem-js broadcast injection
+  binance: './src/binance.js', // Binance chain client injection
+  mock: './src/mock/index.js', // Mock Beet server for tests, NodeJS only
+  cli: './src/cli/index.js' // beeteos command line, NodeJS only
+};
+
+// CommonJS build for require() and older bundlers, dist/cjs/<entry>.cjs
+// NodeJS 16 is the oldest with the atob and btoa globals used by the encryption code
+const commonjs = {
+  name: 'cjs',
+  mode: "production",
+  target: 'node16',
+  entry: entries,
+  externalsPresets: { node: true },
+  externals: [
+    ({ request }, callback) => dependencies.some((dependency) => request === dependency || request.startsWith(`${dependency}/`))
+                                ? callback(null, `commonjs ${request}`)
+                                : callback()
+  ],
+  output: {
+    path: path.resolve('./dist/cjs'),
+    filename: '[name].cjs',
+    library: { type: 'commonjs2' },
+    clean: true
+  },
+  optimization: {
+    minimize: false,
+    // entries share one runtime and one copy of each module, so e.g. their error classes are the same
+    runtimeChunk: 'single',
+    splitChunks: { chunks: 'all', minSize: 0 }
+  },
+  devtool: 'source-map'
+};
+
+// UMD builds for <script> tags and AMD loaders, with every dependency bundled
+const umd = {
+  name: 'umd',
+  mode: "production",
+  target: 'web',
+  entry: {
+    'beeteos-js': { import: entries.index, library: { name: 'beeteos', type: 'umd' } },
+    'beeteos-check': { import: entries.check, library: { name: 'beeteosCheck', type: 'umd' } }
+  },
+  output: {
+    path: path.resolve('./dist'),
+    filename: '[name].js',
+    globalObject: 'this',
+    // dist/cjs is the output of the commonjs build, which runs alongside
+    clean: { keep: /^cjs(\/|$)/ }
+  },
+  optimization: {
+    minimize: true,
+    minimizer: [new TerserPlugin({ terserOptions: { mangle: false } })]
+  },
+  devtool: 'source-map',
+  profile: true
 };
 
-export default config;
+export default [commonjs, umd];